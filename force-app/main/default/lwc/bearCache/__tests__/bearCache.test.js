@@ -0,0 +1,143 @@
+import {
+    isConnectivityError,
+    readRoster,
+    saveRoster,
+    searchRoster,
+    searchRosterNear,
+    readQueuedEdits,
+    queueEdit,
+    replayQueuedEdits
+} from 'c/bearCache';
+import { updateRecord } from 'lightning/uiRecordApi';
+
+const GRIZZLY = {
+    Id: 'a00000000000001AAA',
+    Name: 'Grizzly',
+    Sex__c: 'Female',
+    Age__c: 12,
+    Weight__c: 300,
+    Supervisor__c: '003000000000001AAA',
+    Location__Latitude__s: 44.428,
+    Location__Longitude__s: -110.5885
+};
+const KODIAK = {
+    Id: 'a00000000000002AAA',
+    Name: 'Kodiak',
+    Sex__c: 'Male',
+    Age__c: 8,
+    Weight__c: 450,
+    Location__Latitude__s: 44.5,
+    Location__Longitude__s: -110.6
+};
+const YOGI = { Id: 'a00000000000003AAA', Name: 'Yogi', Sex__c: 'Male' };
+
+describe('c-bear-cache', () => {
+    afterEach(() => {
+        window.localStorage.clear();
+        jest.clearAllMocks();
+    });
+
+    describe('roster', () => {
+        it('keeps the latest copy of each fetched bear', () => {
+            saveRoster([GRIZZLY, KODIAK]);
+            saveRoster([{ ...KODIAK, Weight__c: 460 }, YOGI]);
+
+            const roster = readRoster();
+
+            expect(roster.bears.map((bear) => bear.Name)).toEqual(['Grizzly', 'Kodiak', 'Yogi']);
+            expect(roster.bears[1].Weight__c).toBe(460);
+            expect(typeof roster.savedAt).toBe('number');
+        });
+
+        it('returns null when nothing was cached', () => {
+            expect(readRoster()).toBeNull();
+            expect(searchRoster({})).toEqual([]);
+        });
+
+        it('searches by name and filters', () => {
+            saveRoster([GRIZZLY, KODIAK, YOGI]);
+
+            expect(searchRoster({ searchTerm: 'o' }).map((bear) => bear.Name)).toEqual(['Kodiak', 'Yogi']);
+            expect(searchRoster({ sex: 'Male', minWeight: 400 }).map((bear) => bear.Name)).toEqual(['Kodiak']);
+            expect(searchRoster({ supervisorId: GRIZZLY.Supervisor__c }).map((bear) => bear.Name)).toEqual([
+                'Grizzly'
+            ]);
+        });
+
+        it('sorts with empty values last', () => {
+            saveRoster([GRIZZLY, KODIAK, YOGI]);
+
+            expect(searchRoster({}, 'weight', 'desc').map((bear) => bear.Name)).toEqual([
+                'Kodiak',
+                'Grizzly',
+                'Yogi'
+            ]);
+            expect(searchRoster({}, 'age', 'asc').map((bear) => bear.Name)).toEqual(['Kodiak', 'Grizzly', 'Yogi']);
+        });
+
+        it('searches near a point', () => {
+            saveRoster([GRIZZLY, KODIAK, YOGI]);
+
+            const results = searchRosterNear(44.428, -110.5885, 5);
+
+            expect(results).toEqual([{ bear: GRIZZLY, distance: 0 }]);
+            expect(searchRosterNear(44.428, -110.5885, 20).map(({ bear }) => bear.Name)).toEqual([
+                'Grizzly',
+                'Kodiak'
+            ]);
+        });
+    });
+
+    describe('queued edits', () => {
+        it('merges the edits of a bear and applies them to searches', () => {
+            saveRoster([GRIZZLY]);
+
+            queueEdit({ Id: GRIZZLY.Id, Weight__c: 310 });
+            queueEdit({ Id: GRIZZLY.Id, Height__c: 215 });
+
+            expect(readQueuedEdits()).toEqual([{ Id: GRIZZLY.Id, Weight__c: 310, Height__c: 215 }]);
+            expect(searchRoster({})[0]).toMatchObject({ Weight__c: 310, Height__c: 215 });
+        });
+
+        it('saves the queued edits and drops the refused ones', async () => {
+            updateRecord
+                .mockResolvedValueOnce({})
+                .mockRejectedValueOnce({ body: { message: 'Weight must be positive' } });
+            queueEdit({ Id: GRIZZLY.Id, Weight__c: 310 });
+            queueEdit({ Id: KODIAK.Id, Weight__c: -1 });
+
+            const { saved, failed } = await replayQueuedEdits();
+
+            expect(saved).toEqual([{ Id: GRIZZLY.Id, Weight__c: 310 }]);
+            expect(failed).toHaveLength(1);
+            expect(failed[0].edit.Id).toBe(KODIAK.Id);
+            expect(readQueuedEdits()).toEqual([]);
+        });
+
+        it('keeps the edits queued while the connection is down', async () => {
+            updateRecord.mockRejectedValue(new TypeError('Failed to fetch'));
+            queueEdit({ Id: GRIZZLY.Id, Weight__c: 310 });
+            queueEdit({ Id: KODIAK.Id, Weight__c: 460 });
+
+            const { saved, failed } = await replayQueuedEdits();
+
+            expect(saved).toEqual([]);
+            expect(failed).toEqual([]);
+            expect(updateRecord).toHaveBeenCalledTimes(1);
+            expect(readQueuedEdits()).toHaveLength(2);
+        });
+    });
+
+    describe('isConnectivityError', () => {
+        it('tells network failures from server errors', () => {
+            expect(isConnectivityError(new TypeError('Failed to fetch'))).toBe(true);
+            expect(isConnectivityError({ status: 0, body: { message: 'Disconnected' } })).toBe(true);
+            expect(isConnectivityError({ body: { message: 'Insufficient access' } })).toBe(false);
+        });
+
+        it('does not mistake errors without a body for network failures', () => {
+            expect(isConnectivityError(new TypeError("Cannot read properties of undefined (reading 'Id')"))).toBe(false);
+            expect(isConnectivityError({ status: 500, statusText: 'Server Error' })).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,218 @@
+import { updateRecord } from 'lightning/uiRecordApi';
+
+const ROSTER_KEY = 'bearCache.roster';
+const EDITS_KEY = 'bearCache.edits';
+// Bears kept in the roster, the least recently fetched are dropped first
+const MAX_ROSTER_SIZE = 2000;
+const EARTH_RADIUS_KM = 6371;
+
+// Same sort keys as BearController.SORT_FIELDS
+const SORT_VALUES = {
+    name: (bear) => bear.Name,
+    age: (bear) => bear.Age__c,
+    weight: (bear) => bear.Weight__c,
+    height: (bear) => bear.Height__c,
+    birthdate: (bear) => bear.Birthdate__c,
+    supervisor: (bear) => bear.Supervisor__r?.Name
+};
+
+function read(key, defaultValue) {
+    try {
+        const value = JSON.parse(window.localStorage.getItem(key));
+        return value ?? defaultValue;
+    } catch {
+        // Storage unavailable or corrupted
+        return defaultValue;
+    }
+}
+
+function write(key, value) {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+        // Storage unavailable or full, the app keeps working online only
+    }
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Messages of the TypeError thrown by fetch when a request cannot be sent
+const FETCH_FAILURE_PATTERN =
+    /failed to fetch|networkerror|network request failed|load failed/i;
+
+/**
+ * Tells whether an error comes from a lost connection rather than from the
+ * server refusing the request. Other errors, even without a response body,
+ * are real failures.
+ * @param {*} error LDS, Apex or JS error
+ * @return {Boolean}
+ */
+export function isConnectivityError(error) {
+    if (!window.navigator.onLine || error?.status === 0) {
+        return true;
+    }
+    return (
+        error instanceof TypeError && FETCH_FAILURE_PATTERN.test(error.message)
+    );
+}
+
+/**
+ * Returns the cached roster.
+ * @return {{savedAt: Number, bears: Object[]}|null} Bears and the time they
+ * were last saved, null when nothing was cached
+ */
+export function readRoster() {
+    return read(ROSTER_KEY, null);
+}
+
+/**
+ * Adds fetched bears to the cached roster, replacing older copies.
+ * @param {Object[]} bears Bear__c records
+ */
+export function saveRoster(bears) {
+    const roster = readRoster() || { bears: [] };
+    const fetchedIds = new Set(bears.map((bear) => bear.Id));
+    const kept = roster.bears.filter((bear) => !fetchedIds.has(bear.Id));
+    write(ROSTER_KEY, {
+        savedAt: Date.now(),
+        bears: [...kept, ...bears].slice(-MAX_ROSTER_SIZE)
+    });
+}
+
+/**
+ * Searches the cached roster the way BearController.searchBearPage does.
+ * @param {Object} filter BearController.BearFilter criteria
+ * @param {String} sortBy Sort key
+ * @param {String} sortDirection asc or desc
+ * @return {Object[]} Matching bears, queued edits applied
+ */
+export function searchRoster(filter = {}, sortBy = 'name', sortDirection = 'asc') {
+    const roster = readRoster();
+    if (!roster) {
+        return [];
+    }
+    const searchTerm = (filter.searchTerm || '').trim().toLowerCase();
+    const inRange = (value, min, max) =>
+        (isBlank(min) || (!isBlank(value) && value >= min)) &&
+        (isBlank(max) || (!isBlank(value) && value <= max));
+    const sortValue = SORT_VALUES[sortBy] || SORT_VALUES.name;
+    const direction = sortDirection === 'desc' ? -1 : 1;
+    return applyQueuedEdits(roster.bears)
+        .filter(
+            (bear) =>
+                (!searchTerm || bear.Name.toLowerCase().includes(searchTerm)) &&
+                (isBlank(filter.sex) || bear.Sex__c === filter.sex) &&
+                (isBlank(filter.supervisorId) ||
+                    bear.Supervisor__c === filter.supervisorId) &&
+                inRange(bear.Age__c, filter.minAge, filter.maxAge) &&
+                inRange(bear.Weight__c, filter.minWeight, filter.maxWeight) &&
+                inRange(bear.Height__c, filter.minHeight, filter.maxHeight)
+        )
+        .sort((first, second) => {
+            const a = sortValue(first);
+            const b = sortValue(second);
+            // Nulls last whatever the direction, like the Apex query
+            if (isBlank(a) || isBlank(b)) {
+                return isBlank(a) - isBlank(b);
+            }
+            if (a === b) {
+                return first.Name.localeCompare(second.Name);
+            }
+            return (a < b ? -1 : 1) * direction;
+        });
+}
+
+/**
+ * Searches the cached roster for bears near a point the way
+ * BearController.searchBearsNear does.
+ * @return {{bear: Object, distance: Number}[]} Nearest bears first
+ */
+export function searchRosterNear(latitude, longitude, radiusKm) {
+    const roster = readRoster();
+    if (!roster) {
+        return [];
+    }
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    return applyQueuedEdits(roster.bears)
+        .filter((bear) => !isBlank(bear.Location__Latitude__s))
+        .map((bear) => {
+            // Haversine distance
+            const dLatitude = toRadians(bear.Location__Latitude__s - latitude);
+            const dLongitude = toRadians(bear.Location__Longitude__s - longitude);
+            const a =
+                Math.sin(dLatitude / 2) ** 2 +
+                Math.cos(toRadians(latitude)) *
+                    Math.cos(toRadians(bear.Location__Latitude__s)) *
+                    Math.sin(dLongitude / 2) ** 2;
+            const distance = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+            return { bear, distance: Math.round(distance * 100) / 100 };
+        })
+        .filter((result) => result.distance < radiusKm)
+        .sort((first, second) => first.distance - second.distance);
+}
+
+/**
+ * Returns the edits waiting for the connection to come back.
+ * @return {Object[]} Record fields, Id included
+ */
+export function readQueuedEdits() {
+    return read(EDITS_KEY, []);
+}
+
+/**
+ * Queues a bear edit made without a connection. Later edits of the same bear
+ * are merged into the queued one.
+ * @param {Object} fields Record fields, Id included
+ */
+export function queueEdit(fields) {
+    const edits = readQueuedEdits();
+    const queued = edits.find((edit) => edit.Id === fields.Id);
+    if (queued) {
+        Object.assign(queued, fields);
+    } else {
+        edits.push({ ...fields });
+    }
+    write(EDITS_KEY, edits);
+}
+
+function applyQueuedEdits(bears) {
+    const edits = readQueuedEdits();
+    return bears.map((bear) => {
+        const edit = edits.find((queued) => queued.Id === bear.Id);
+        return edit ? { ...bear, ...edit } : bear;
+    });
+}
+
+/**
+ * Saves the queued edits. Edits stay queued while the connection is down,
+ * edits refused by the server are dropped and reported.
+ * @return {Promise<{saved: Object[], failed: {edit: Object, error: *}[]}>}
+ */
+export async function replayQueuedEdits() {
+    const saved = [];
+    const failed = [];
+    for (const edit of readQueuedEdits()) {
+        try {
+            // Edits are saved in the order they were made
+            // eslint-disable-next-line no-await-in-loop
+            await updateRecord({ fields: edit });
+            saved.push(edit);
+        } catch (error) {
+            if (isConnectivityError(error)) {
+                break;
+            }
+            failed.push({ edit, error });
+        }
+    }
+    // Keep edits queued while replaying, even for the same bear
+    const done = [...saved, ...failed.map(({ edit }) => edit)].map((edit) =>
+        JSON.stringify(edit)
+    );
+    write(
+        EDITS_KEY,
+        readQueuedEdits().filter((edit) => !done.includes(JSON.stringify(edit)))
+    );
+    return { saved, failed };
+}
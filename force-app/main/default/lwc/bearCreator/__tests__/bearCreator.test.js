@@ -0,0 +1,204 @@
+import { createElement } from '@lwc/engine-dom';
+import BearCreator from 'c/bearCreator';
+import { createRecord } from 'lightning/uiRecordApi';
+import { publish, subscribe } from 'lightning/messageService';
+import BEAR_LIST_UPDATE_MESSAGE from '@salesforce/messageChannel/BearListUpdate__c';
+import { createListMessage } from 'c/bearListMessage';
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+const REFERENCE_BEAR = {
+    Id: 'a00000000000001AAA',
+    Name: 'Grizzly',
+    Location__Latitude__s: 44.428,
+    Location__Longitude__s: -110.5885
+};
+
+describe('c-bear-creator', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    function createCreator() {
+        const element = createElement('c-bear-creator', {
+            is: BearCreator
+        });
+        document.body.appendChild(element);
+        return element;
+    }
+
+    // The base component stubs do not implement validation
+    function mockFieldValidity(element, valid = true) {
+        element.shadowRoot.querySelectorAll('.bear-creator-field').forEach((input) => {
+            input.reportValidity = jest.fn(() => valid);
+        });
+    }
+
+    function changeField(element, field, value) {
+        element.shadowRoot
+            .querySelector(`[data-field="${field}"]`)
+            .dispatchEvent(new CustomEvent('change', { detail: { value } }));
+    }
+
+    function click(element, selector) {
+        element.shadowRoot.querySelector(selector).click();
+    }
+
+    it('limits the birthdate to the local date', () => {
+        // Arrange - late in the evening, when the UTC date is already the next day west of UTC
+        jest.useFakeTimers({ now: new Date(2026, 1, 28, 23, 30) });
+
+        // Act
+        const element = createCreator();
+        jest.useRealTimers();
+
+        // Assert
+        expect(element.shadowRoot.querySelector('[data-field="Birthdate__c"]').max).toBe('2026-02-28');
+    });
+
+    it('stays on a step until its fields are valid', async () => {
+        // Arrange
+        const element = createCreator();
+        mockFieldValidity(element, false);
+
+        // Act
+        click(element, 'lightning-button.bear-creator-next');
+        await flushPromises();
+
+        // Assert
+        const indicator = element.shadowRoot.querySelector('lightning-progress-indicator');
+        expect(indicator.currentStep).toBe('identity');
+        expect(element.shadowRoot.querySelector('[data-field="Name"]')).not.toBeNull();
+    });
+
+    it('does not save a bear without a supervisor', async () => {
+        // Arrange
+        const element = createCreator();
+        mockFieldValidity(element);
+        click(element, 'lightning-button.bear-creator-next');
+        await flushPromises();
+        mockFieldValidity(element);
+        click(element, 'lightning-button.bear-creator-next');
+        await flushPromises();
+        mockFieldValidity(element);
+        const picker = element.shadowRoot.querySelector('lightning-record-picker');
+        expect(picker.required).toBe(true);
+
+        // Act
+        click(element, 'lightning-button.bear-creator-save');
+        await flushPromises();
+
+        // Assert
+        expect(picker.reportValidity).toHaveBeenCalled();
+        expect(createRecord).not.toHaveBeenCalled();
+    });
+
+    it('creates the bear, shows a toast and publishes it on BearListUpdate__c', async () => {
+        // Arrange
+        createRecord.mockResolvedValue({ id: 'a00000000000009AAA' });
+        const element = createCreator();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        const listUpdateHandler = subscribe.mock.calls.find(
+            (call) => call[1] === BEAR_LIST_UPDATE_MESSAGE
+        )[2];
+        listUpdateHandler(
+            createListMessage({
+                bears: [REFERENCE_BEAR],
+                totalCount: 1,
+                page: { offset: 0, size: 1, hasMore: false }
+            })
+        );
+
+        // Act: identity
+        mockFieldValidity(element);
+        changeField(element, 'Name', 'Yogi');
+        changeField(element, 'Sex__c', 'Male');
+        changeField(element, 'Birthdate__c', '2018-05-04');
+        click(element, 'lightning-button.bear-creator-next');
+        await flushPromises();
+        // Act: measurements
+        mockFieldValidity(element);
+        changeField(element, 'Height__c', '180');
+        changeField(element, 'Weight__c', '250');
+        click(element, 'lightning-button.bear-creator-next');
+        await flushPromises();
+        // Act: placement, picked from the map
+        mockFieldValidity(element);
+        element.shadowRoot
+            .querySelector('lightning-record-picker')
+            .dispatchEvent(new CustomEvent('change', { detail: { recordId: '003000000000001AAA' } }));
+        element.shadowRoot.querySelector('lightning-map').dispatchEvent(
+            new CustomEvent('markerselect', {
+                detail: { selectedMarkerValue: REFERENCE_BEAR.Id }
+            })
+        );
+        await flushPromises();
+        const map = element.shadowRoot.querySelector('lightning-map');
+        expect(map.mapMarkers).toHaveLength(2);
+        click(element, 'lightning-button.bear-creator-save');
+        await flushPromises();
+
+        // Assert
+        const fields = {
+            Name: 'Yogi',
+            Sex__c: 'Male',
+            Birthdate__c: '2018-05-04',
+            Height__c: '180',
+            Weight__c: '250',
+            Supervisor__c: '003000000000001AAA',
+            Location__Latitude__s: 44.428,
+            Location__Longitude__s: -110.5885
+        };
+        expect(createRecord).toHaveBeenCalledWith({ apiName: 'Bear__c', fields });
+        expect(toastHandler).toHaveBeenCalledTimes(1);
+        expect(toastHandler.mock.calls[0][0].detail.variant).toBe('success');
+        expect(publish).toHaveBeenCalledWith(undefined, BEAR_LIST_UPDATE_MESSAGE, {
+            version: 1,
+            createdBear: expect.objectContaining({
+                id: 'a00000000000009AAA',
+                name: 'Yogi',
+                heightCm: 180,
+                weightKg: 250,
+                supervisorId: '003000000000001AAA',
+                location: { latitude: 44.428, longitude: -110.5885 }
+            })
+        });
+        // The wizard starts over
+        const indicator = element.shadowRoot.querySelector('lightning-progress-indicator');
+        expect(indicator.currentStep).toBe('identity');
+    });
+
+    it('shows the error when the bear cannot be created', async () => {
+        // Arrange
+        createRecord.mockRejectedValue({ body: { message: 'Insufficient access' } });
+        const element = createCreator();
+        mockFieldValidity(element);
+        click(element, 'lightning-button.bear-creator-next');
+        await flushPromises();
+        mockFieldValidity(element);
+        click(element, 'lightning-button.bear-creator-next');
+        await flushPromises();
+        mockFieldValidity(element);
+        element.shadowRoot
+            .querySelector('lightning-record-picker')
+            .dispatchEvent(new CustomEvent('change', { detail: { recordId: '003000000000001AAA' } }));
+
+        // Act
+        click(element, 'lightning-button.bear-creator-save');
+        await flushPromises();
+
+        // Assert
+        const error = element.shadowRoot.querySelector('.bear-creator-error');
+        expect(error.textContent).toBe('Insufficient access');
+        expect(publish).not.toHaveBeenCalled();
+    });
+});
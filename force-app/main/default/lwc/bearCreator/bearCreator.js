@@ -0,0 +1,259 @@
+import { LightningElement, wire } from 'lwc';
+import { createRecord } from 'lightning/uiRecordApi';
+import { getObjectInfo, getPicklistValues } from 'lightning/uiObjectInfoApi';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { publish, subscribe, unsubscribe, MessageContext } from 'lightning/messageService';
+import BEAR_LIST_UPDATE_MESSAGE from '@salesforce/messageChannel/BearListUpdate__c';
+import { reduceErrors } from 'c/ldsUtils';
+import { toIsoDate } from 'c/dateUtils';
+import { createCreatedBearMessage, readBearListMessage } from 'c/bearListMessage';
+// Import Bear object fields
+import BEAR_OBJECT from '@salesforce/schema/Bear__c';
+import NAME_FIELD from '@salesforce/schema/Bear__c.Name';
+import SEX_FIELD from '@salesforce/schema/Bear__c.Sex__c';
+import BIRTHDATE_FIELD from '@salesforce/schema/Bear__c.Birthdate__c';
+import HEIGHT_FIELD from '@salesforce/schema/Bear__c.Height__c';
+import WEIGHT_FIELD from '@salesforce/schema/Bear__c.Weight__c';
+import SUPERVISOR_FIELD from '@salesforce/schema/Bear__c.Supervisor__c';
+import LATITUDE_FIELD from '@salesforce/schema/Bear__c.Location__Latitude__s';
+import LONGITUDE_FIELD from '@salesforce/schema/Bear__c.Location__Longitude__s';
+
+const STEPS = [
+  { value: 'identity', label: 'Identity' },
+  { value: 'measurements', label: 'Measurements' },
+  { value: 'placement', label: 'Placement' }
+];
+
+const NEW_BEAR_MARKER = 'newBear';
+
+function emptyBear() {
+  return {
+    [NAME_FIELD.fieldApiName]: '',
+    [SEX_FIELD.fieldApiName]: '',
+    [BIRTHDATE_FIELD.fieldApiName]: undefined,
+    [HEIGHT_FIELD.fieldApiName]: undefined,
+    [WEIGHT_FIELD.fieldApiName]: undefined,
+    [SUPERVISOR_FIELD.fieldApiName]: undefined,
+    [LATITUDE_FIELD.fieldApiName]: undefined,
+    [LONGITUDE_FIELD.fieldApiName]: undefined
+  };
+}
+
+export default class BearCreator extends LightningElement {
+  steps = STEPS;
+  stepIndex = 0;
+  bear = emptyBear();
+  // Bears last shown by bearList or bearMap, used as reference points
+  referenceBears = [];
+  subscription = null;
+  isSaving = false;
+  error;
+
+  // Birthdates in the future are invalid
+  today = toIsoDate(new Date());
+
+  @wire(MessageContext)
+  messageContext;
+
+  @wire(getObjectInfo, { objectApiName: BEAR_OBJECT })
+  objectInfo;
+
+  @wire(getPicklistValues, {
+    recordTypeId: '$objectInfo.data.defaultRecordTypeId',
+    fieldApiName: SEX_FIELD
+  })
+  sexPicklist;
+
+  connectedCallback() {
+    // Subscribe to BearListUpdate__c message
+    this.subscription = subscribe(
+      this.messageContext,
+      BEAR_LIST_UPDATE_MESSAGE,
+      (message) => {
+        this.handleBearListUpdate(message);
+      }
+    );
+  }
+
+  disconnectedCallback() {
+    // Unsubscribe from BearListUpdate__c message
+    unsubscribe(this.subscription);
+    this.subscription = null;
+  }
+
+  handleBearListUpdate(message) {
+    const bearList = readBearListMessage(message);
+    if (bearList?.bears) {
+      this.referenceBears = bearList.bears.filter((bear) => bear.location);
+    }
+  }
+
+  get sexOptions() {
+    const values = this.sexPicklist?.data?.values || [];
+    return values.map(({ label, value }) => ({ label, value }));
+  }
+
+  get currentStep() {
+    return STEPS[this.stepIndex].value;
+  }
+
+  get isIdentityStep() {
+    return this.currentStep === 'identity';
+  }
+
+  get isMeasurementsStep() {
+    return this.currentStep === 'measurements';
+  }
+
+  get isPlacementStep() {
+    return this.currentStep === 'placement';
+  }
+
+  get isFirstStep() {
+    return this.stepIndex === 0;
+  }
+
+  get isLastStep() {
+    return this.stepIndex === STEPS.length - 1;
+  }
+
+  get hasLocation() {
+    return (
+      this.bear.Location__Latitude__s != null &&
+      this.bear.Location__Longitude__s != null
+    );
+  }
+
+  // lightning-map does not report clicks on arbitrary points, so the
+  // location is picked by selecting a bear marker or typing coordinates.
+  get mapMarkers() {
+    const markers = this.referenceBears.map((bear) => ({
+      location: {
+        Latitude: bear.location.latitude,
+        Longitude: bear.location.longitude
+      },
+      value: bear.id,
+      title: bear.name,
+      description: 'Select to place the new bear here',
+      icon: 'utility:animal_and_nature'
+    }));
+    if (this.hasLocation) {
+      markers.push({
+        location: {
+          Latitude: this.bear.Location__Latitude__s,
+          Longitude: this.bear.Location__Longitude__s
+        },
+        value: NEW_BEAR_MARKER,
+        title: this.bear.Name || 'New bear',
+        icon: 'standard:location'
+      });
+    }
+    return markers;
+  }
+
+  get mapCenter() {
+    return this.hasLocation
+      ? {
+          location: {
+            Latitude: this.bear.Location__Latitude__s,
+            Longitude: this.bear.Location__Longitude__s
+          }
+        }
+      : undefined;
+  }
+
+  get errors() {
+    return reduceErrors(this.error).join(', ');
+  }
+
+  handleFieldChange(event) {
+    const { field } = event.target.dataset;
+    const value = event.detail.value;
+    this.bear = {
+      ...this.bear,
+      [field]: value === '' ? undefined : value
+    };
+  }
+
+  handleSupervisorChange(event) {
+    this.bear = {
+      ...this.bear,
+      [SUPERVISOR_FIELD.fieldApiName]: event.detail.recordId || undefined
+    };
+  }
+
+  handleMarkerSelect(event) {
+    const bearId = event.detail.selectedMarkerValue;
+    const referenceBear = this.referenceBears.find((bear) => bear.id === bearId);
+    if (referenceBear) {
+      this.bear = {
+        ...this.bear,
+        Location__Latitude__s: referenceBear.location.latitude,
+        Location__Longitude__s: referenceBear.location.longitude
+      };
+    }
+  }
+
+  // Reports the validity of the inputs of the current step
+  validateStep() {
+    const inputs = [...this.template.querySelectorAll('.bear-creator-field')];
+    const valid = inputs.reduce(
+      (allValid, input) => input.reportValidity() && allValid,
+      true
+    );
+    // Supervisor__c is a master-detail field, a bear cannot be saved without
+    return (
+      valid &&
+      (!this.isPlacementStep || !!this.bear[SUPERVISOR_FIELD.fieldApiName])
+    );
+  }
+
+  handleNext() {
+    if (this.validateStep()) {
+      this.stepIndex += 1;
+    }
+  }
+
+  handleBack() {
+    this.stepIndex -= 1;
+  }
+
+  async handleSave() {
+    if (!this.validateStep()) {
+      return;
+    }
+    this.isSaving = true;
+    this.error = undefined;
+    const fields = {};
+    Object.entries(this.bear)
+      .filter(([, value]) => value !== undefined)
+      .forEach(([fieldName, value]) => {
+        fields[fieldName] = value;
+      });
+    try {
+      const record = await createRecord({
+        apiName: BEAR_OBJECT.objectApiName,
+        fields
+      });
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: 'Bear created',
+          message: 'Record ID: ' + record.id,
+          variant: 'success'
+        })
+      );
+      // Let an open bearList or bearMap pick up the new bear
+      publish(
+        this.messageContext,
+        BEAR_LIST_UPDATE_MESSAGE,
+        createCreatedBearMessage({ Id: record.id, ...fields })
+      );
+      this.bear = emptyBear();
+      this.stepIndex = 0;
+    } catch (error) {
+      this.error = error;
+    } finally {
+      this.isSaving = false;
+    }
+  }
+}
@@ -0,0 +1,132 @@
+import { createElement } from '@lwc/engine-dom';
+import BearFilter from 'c/bearFilter';
+import { getObjectInfo, getPicklistValues } from 'lightning/uiObjectInfoApi';
+
+const MOCK_OBJECT_INFO = { defaultRecordTypeId: '012000000000000AAA' };
+const MOCK_SEX_PICKLIST = {
+    values: [
+        { label: 'Male', value: 'Male' },
+        { label: 'Female', value: 'Female' }
+    ]
+};
+
+describe('c-bear-filter', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    function createFilter() {
+        const element = createElement('c-bear-filter', {
+            is: BearFilter
+        });
+        document.body.appendChild(element);
+        const handler = jest.fn();
+        element.addEventListener('filterchange', handler);
+        return { element, handler };
+    }
+
+    it('offers the Sex__c picklist values plus an Any option', () => {
+        // Arrange
+        const { element } = createFilter();
+
+        // Act
+        getObjectInfo.emit(MOCK_OBJECT_INFO);
+        getPicklistValues.emit(MOCK_SEX_PICKLIST);
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const combobox = element.shadowRoot.querySelector('lightning-combobox');
+            expect(combobox.options.map((option) => option.value)).toEqual([
+                '',
+                'Male',
+                'Female'
+            ]);
+        });
+    });
+
+    it('only reports ranges moved away from their bounds', () => {
+        // Arrange
+        const { element, handler } = createFilter();
+        const slider = element.shadowRoot.querySelector(
+            'lightning-slider[data-filter="minWeight"]'
+        );
+
+        // Act
+        slider.dispatchEvent(
+            new CustomEvent('change', { detail: { value: 200 } })
+        );
+
+        // Assert
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail).toEqual({ minWeight: 200 });
+    });
+
+    it('keeps the max slider above the min slider', () => {
+        // Arrange
+        const { element, handler } = createFilter();
+        const maxSlider = element.shadowRoot.querySelector(
+            'lightning-slider[data-filter="maxAge"]'
+        );
+        const minSlider = element.shadowRoot.querySelector(
+            'lightning-slider[data-filter="minAge"]'
+        );
+
+        // Act
+        maxSlider.dispatchEvent(
+            new CustomEvent('change', { detail: { value: 10 } })
+        );
+        minSlider.dispatchEvent(
+            new CustomEvent('change', { detail: { value: 20 } })
+        );
+
+        // Assert
+        expect(handler.mock.calls[1][0].detail).toEqual({
+            minAge: 20,
+            maxAge: 20
+        });
+    });
+
+    it('reports sex and supervisor selections', () => {
+        // Arrange
+        const { element, handler } = createFilter();
+
+        // Act
+        element.shadowRoot
+            .querySelector('lightning-combobox')
+            .dispatchEvent(
+                new CustomEvent('change', { detail: { value: 'Female' } })
+            );
+        element.shadowRoot
+            .querySelector('lightning-record-picker')
+            .dispatchEvent(
+                new CustomEvent('change', {
+                    detail: { recordId: '003000000000000AAA' }
+                })
+            );
+
+        // Assert
+        expect(handler.mock.calls[1][0].detail).toEqual({
+            sex: 'Female',
+            supervisorId: '003000000000000AAA'
+        });
+    });
+
+    it('clears every criterion on reset', () => {
+        // Arrange
+        const { element, handler } = createFilter();
+        element.shadowRoot
+            .querySelector('lightning-combobox')
+            .dispatchEvent(
+                new CustomEvent('change', { detail: { value: 'Male' } })
+            );
+
+        // Act
+        element.shadowRoot.querySelector('lightning-button').click();
+
+        // Assert
+        expect(handler.mock.calls[1][0].detail).toEqual({});
+    });
+});
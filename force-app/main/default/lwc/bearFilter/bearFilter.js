@@ -0,0 +1,121 @@
+import { LightningElement, wire } from 'lwc';
+import { getObjectInfo, getPicklistValues } from 'lightning/uiObjectInfoApi';
+import BEAR_OBJECT from '@salesforce/schema/Bear__c';
+import SEX_FIELD from '@salesforce/schema/Bear__c.Sex__c';
+
+// Slider bounds for each measurement. A slider left on its bound does not
+// constrain the search.
+const RANGES = [
+  { name: 'Age', label: 'Age (years)', min: 0, max: 50, step: 1 },
+  { name: 'Weight', label: 'Weight (Kg)', min: 0, max: 1000, step: 10 },
+  { name: 'Height', label: 'Height (cm)', min: 0, max: 400, step: 5 }
+];
+
+const ANY_SEX_OPTION = { label: 'Any', value: '' };
+
+function defaultValues() {
+  const values = {};
+  RANGES.forEach((range) => {
+    values[`min${range.name}`] = range.min;
+    values[`max${range.name}`] = range.max;
+  });
+  return values;
+}
+
+export default class BearFilter extends LightningElement {
+  sex = '';
+  supervisorId;
+  values = defaultValues();
+
+  @wire(getObjectInfo, { objectApiName: BEAR_OBJECT })
+  objectInfo;
+
+  @wire(getPicklistValues, {
+    recordTypeId: '$objectInfo.data.defaultRecordTypeId',
+    fieldApiName: SEX_FIELD
+  })
+  sexPicklist;
+
+  get sexOptions() {
+    const values = this.sexPicklist?.data?.values || [];
+    return [
+      ANY_SEX_OPTION,
+      ...values.map(({ label, value }) => ({ label, value }))
+    ];
+  }
+
+  get ranges() {
+    return RANGES.map((range) => ({
+      ...range,
+      minName: `min${range.name}`,
+      minLabel: `Min. ${range.label}`,
+      maxLabel: `Max. ${range.label}`,
+      maxName: `max${range.name}`,
+      minValue: this.values[`min${range.name}`],
+      maxValue: this.values[`max${range.name}`]
+    }));
+  }
+
+  handleSexChange(event) {
+    this.sex = event.detail.value;
+    this.notifyFilterChange();
+  }
+
+  handleRangeChange(event) {
+    const name = event.target.dataset.filter;
+    const value = Number(event.detail.value);
+    const values = { ...this.values, [name]: value };
+    // Keep each min slider at or below its max slider
+    const rangeName = name.substring(3);
+    if (values[`min${rangeName}`] > values[`max${rangeName}`]) {
+      const other = name.startsWith('min')
+        ? `max${rangeName}`
+        : `min${rangeName}`;
+      values[other] = value;
+    }
+    this.values = values;
+    this.notifyFilterChange();
+  }
+
+  handleSupervisorChange(event) {
+    this.supervisorId = event.detail.recordId || undefined;
+    this.notifyFilterChange();
+  }
+
+  handleReset() {
+    this.sex = '';
+    this.supervisorId = undefined;
+    this.values = defaultValues();
+    this.template.querySelector('lightning-record-picker').clearSelection();
+    this.notifyFilterChange();
+  }
+
+  get filter() {
+    const filter = {};
+    if (this.sex) {
+      filter.sex = this.sex;
+    }
+    RANGES.forEach((range) => {
+      const minValue = this.values[`min${range.name}`];
+      const maxValue = this.values[`max${range.name}`];
+      if (minValue > range.min) {
+        filter[`min${range.name}`] = minValue;
+      }
+      if (maxValue < range.max) {
+        filter[`max${range.name}`] = maxValue;
+      }
+    });
+    if (this.supervisorId) {
+      filter.supervisorId = this.supervisorId;
+    }
+    return filter;
+  }
+
+  notifyFilterChange() {
+    this.dispatchEvent(
+      new CustomEvent('filterchange', {
+        detail: this.filter
+      })
+    );
+  }
+}
@@ -0,0 +1,141 @@
+import { createElement } from '@lwc/engine-dom';
+import BearGrowthChart from 'c/bearGrowthChart';
+import getGrowthSeries from '@salesforce/apex/BearController.getGrowthSeries';
+
+// Mock the Apex wire adapter
+jest.mock(
+    '@salesforce/apex/BearController.getGrowthSeries',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+const RECORD_ID = 'a00000000000001AAA';
+
+const MOCK_SERIES = {
+    points: [
+        { Id: 'a02000000000001AAA', Measured_On__c: '2025-04-01', Height__c: 190, Weight__c: 250 },
+        { Id: 'a02000000000002AAA', Measured_On__c: '2026-04-01', Height__c: 205, Weight__c: 290 }
+    ],
+    band: [
+        {
+            ageYears: 5,
+            fromDate: '2025-01-01',
+            toDate: '2025-12-31',
+            sampleCount: 4,
+            minHeight: 180,
+            maxHeight: 210,
+            minWeight: 220,
+            maxWeight: 310
+        }
+    ]
+};
+
+describe('c-bear-growth-chart', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    function createChart() {
+        const element = createElement('c-bear-growth-chart', {
+            is: BearGrowthChart
+        });
+        element.recordId = RECORD_ID;
+        document.body.appendChild(element);
+        return element;
+    }
+
+    it('requests the growth series of the bear', () => {
+        // Arrange
+        createChart();
+
+        // Assert
+        return Promise.resolve().then(() => {
+            expect(getGrowthSeries.getLastConfig()).toEqual({ bearId: RECORD_ID });
+        });
+    });
+
+    it('plots weight and height with the comparison band', async () => {
+        // Arrange
+        const element = createChart();
+
+        // Act
+        getGrowthSeries.emit(MOCK_SERIES);
+        await Promise.resolve();
+
+        // Assert
+        const charts = element.shadowRoot.querySelectorAll('.growth-chart');
+        expect([...charts].map((chart) => chart.dataset.metric)).toEqual(['weight', 'height']);
+        const weightChart = charts[0];
+        expect(weightChart.querySelectorAll('circle')).toHaveLength(2);
+        expect(weightChart.querySelector('.growth-line').getAttribute('d')).toMatch(/^M [\d.]+ [\d.]+ L [\d.]+ [\d.]+$/);
+        expect(weightChart.querySelector('.growth-band').getAttribute('d')).toMatch(/Z$/);
+        expect(element.shadowRoot.querySelector('.growth-legend-band')).not.toBeNull();
+    });
+
+    it('places heavier measurements higher on the chart', async () => {
+        // Arrange
+        const element = createChart();
+
+        // Act
+        getGrowthSeries.emit(MOCK_SERIES);
+        await Promise.resolve();
+
+        // Assert
+        const points = element.shadowRoot.querySelectorAll('[data-metric="weight"] circle');
+        const [first, last] = [...points].map((point) => ({
+            cx: Number(point.getAttribute('cx')),
+            cy: Number(point.getAttribute('cy'))
+        }));
+        expect(last.cx).toBeGreaterThan(first.cx);
+        expect(last.cy).toBeLessThan(first.cy);
+    });
+
+    it('omits the band when there are no comparable bears', async () => {
+        // Arrange
+        const element = createChart();
+
+        // Act
+        getGrowthSeries.emit({ points: MOCK_SERIES.points.slice(0, 1), band: [] });
+        await Promise.resolve();
+
+        // Assert
+        expect(element.shadowRoot.querySelectorAll('.growth-chart')).toHaveLength(2);
+        expect(element.shadowRoot.querySelector('.growth-band')).toBeNull();
+        expect(element.shadowRoot.querySelector('.growth-legend-band')).toBeNull();
+    });
+
+    it('shows a message when no measurements exist', async () => {
+        // Arrange
+        const element = createChart();
+
+        // Act
+        getGrowthSeries.emit({ points: [], band: [] });
+        await Promise.resolve();
+
+        // Assert
+        expect(element.shadowRoot.querySelector('.growth-chart')).toBeNull();
+        expect(element.shadowRoot.querySelector('p').textContent).toBe('No measurements recorded yet.');
+    });
+
+    it('shows the error when the series cannot be loaded', async () => {
+        // Arrange
+        const element = createChart();
+
+        // Act
+        getGrowthSeries.error({ message: 'Bear not found.' });
+        await Promise.resolve();
+
+        // Assert
+        const error = element.shadowRoot.querySelector('.slds-text-color_error');
+        expect(error.textContent).toBe('Bear not found.');
+    });
+});
@@ -0,0 +1,160 @@
+import { LightningElement, api, wire } from 'lwc';
+import { reduceErrors } from 'c/ldsUtils';
+/** BearController.getGrowthSeries(bearId) Apex method */
+import getGrowthSeries from '@salesforce/apex/BearController.getGrowthSeries';
+
+// Plotted measurements and the band bounds that match them
+const METRICS = [
+  {
+    key: 'weight',
+    title: 'Weight (Kg)',
+    field: 'Weight__c',
+    bandMin: 'minWeight',
+    bandMax: 'maxWeight'
+  },
+  {
+    key: 'height',
+    title: 'Height (cm)',
+    field: 'Height__c',
+    bandMin: 'minHeight',
+    bandMax: 'maxHeight'
+  }
+];
+
+// SVG viewBox size and the space kept around the plot for the axis labels
+const WIDTH = 320;
+const HEIGHT = 160;
+const PADDING = { top: 10, right: 10, bottom: 20, left: 40 };
+// Time shown on each side of a single measurement
+const SINGLE_POINT_SPAN_MS = 15 * 24 * 60 * 60 * 1000;
+
+const dateFormat = new Intl.DateTimeFormat(undefined, {
+  year: 'numeric',
+  month: 'short',
+  timeZone: 'UTC'
+});
+
+function toTime(isoDate) {
+  return Date.parse(isoDate);
+}
+
+// Returns a function mapping [min, max] onto [from, to]
+function scale(min, max, from, to) {
+  return (value) => from + ((value - min) / (max - min)) * (to - from);
+}
+
+function toPath(coordinates) {
+  return coordinates
+    .map(([x, y], index) => `${index === 0 ? 'M' : 'L'} ${x} ${y}`)
+    .join(' ');
+}
+
+function buildChart(metric, points, band) {
+  const measured = points.filter((point) => point[metric.field] != null);
+  const bandSteps = band.filter(
+    (step) => step[metric.bandMin] != null && step[metric.bandMax] != null
+  );
+  if (measured.length === 0) {
+    return null;
+  }
+  // Domains cover the measurements and the comparison band
+  const times = [
+    ...measured.map((point) => toTime(point.Measured_On__c)),
+    ...bandSteps.flatMap((step) => [toTime(step.fromDate), toTime(step.toDate)])
+  ];
+  const values = [
+    ...measured.map((point) => point[metric.field]),
+    ...bandSteps.flatMap((step) => [step[metric.bandMin], step[metric.bandMax]])
+  ];
+  let minTime = Math.min(...times);
+  let maxTime = Math.max(...times);
+  if (minTime === maxTime) {
+    minTime -= SINGLE_POINT_SPAN_MS;
+    maxTime += SINGLE_POINT_SPAN_MS;
+  }
+  const rawMinValue = Math.min(...values);
+  const rawMaxValue = Math.max(...values);
+  const margin = (rawMaxValue - rawMinValue) * 0.1 || 1;
+  const minValue = Math.max(rawMinValue - margin, 0);
+  const maxValue = rawMaxValue + margin;
+  const x = scale(minTime, maxTime, PADDING.left, WIDTH - PADDING.right);
+  const y = scale(minValue, maxValue, HEIGHT - PADDING.bottom, PADDING.top);
+
+  const coordinates = measured.map((point) => [
+    x(toTime(point.Measured_On__c)),
+    y(point[metric.field])
+  ]);
+  // Upper edge left to right, then lower edge right to left
+  const upper = bandSteps.flatMap((step) => [
+    [x(toTime(step.fromDate)), y(step[metric.bandMax])],
+    [x(toTime(step.toDate)), y(step[metric.bandMax])]
+  ]);
+  const lower = bandSteps
+    .flatMap((step) => [
+      [x(toTime(step.fromDate)), y(step[metric.bandMin])],
+      [x(toTime(step.toDate)), y(step[metric.bandMin])]
+    ])
+    .reverse();
+
+  return {
+    key: metric.key,
+    title: metric.title,
+    linePath: toPath(coordinates),
+    bandPath: bandSteps.length ? `${toPath([...upper, ...lower])} Z` : null,
+    points: measured.map((point, index) => ({
+      key: point.Id,
+      cx: coordinates[index][0],
+      cy: coordinates[index][1],
+      label: `${point.Measured_On__c}: ${point[metric.field]}`
+    })),
+    yMinLabel: Math.round(minValue),
+    yMaxLabel: Math.round(maxValue),
+    xMinLabel: dateFormat.format(new Date(minTime)),
+    xMaxLabel: dateFormat.format(new Date(maxTime))
+  };
+}
+
+export default class BearGrowthChart extends LightningElement {
+  @api recordId; // Bear Id
+
+  viewBox = `0 0 ${WIDTH} ${HEIGHT}`;
+  axis = {
+    left: PADDING.left,
+    right: WIDTH - PADDING.right,
+    top: PADDING.top,
+    bottom: HEIGHT - PADDING.bottom,
+    labelX: PADDING.left - 4,
+    labelY: HEIGHT - 4,
+    minLabelY: HEIGHT - PADDING.bottom,
+    maxLabelY: PADDING.top + 8
+  };
+
+  @wire(getGrowthSeries, { bearId: '$recordId' })
+  series;
+
+  get charts() {
+    const data = this.series?.data;
+    if (!data) {
+      return [];
+    }
+    return METRICS.map((metric) =>
+      buildChart(metric, data.points, data.band)
+    ).filter((chart) => chart);
+  }
+
+  get hasCharts() {
+    return this.charts.length > 0;
+  }
+
+  get hasBand() {
+    return this.series?.data?.band?.length > 0;
+  }
+
+  get isEmpty() {
+    return Boolean(this.series?.data) && !this.hasCharts;
+  }
+
+  get errors() {
+    return reduceErrors(this.series?.error).join(', ');
+  }
+}
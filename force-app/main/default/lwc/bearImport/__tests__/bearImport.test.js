@@ -0,0 +1,242 @@
+import { createElement } from '@lwc/engine-dom';
+import BearImport from 'c/bearImport';
+import { getPicklistValues } from 'lightning/uiObjectInfoApi';
+import importBears from '@salesforce/apex/BearController.importBears';
+
+// Mock the imperative Apex call
+jest.mock(
+    '@salesforce/apex/BearController.importBears',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const SEX_PICKLIST = {
+    values: [
+        { label: 'Male', value: 'Male' },
+        { label: 'Female', value: 'Female' }
+    ]
+};
+
+const CSV = [
+    'Name,Gender,Birthdate,Weight (Kg),Supervisor,Lat,Long,Notes',
+    'Kodiak,male,2018-05-04,450,ranger@ursus.park,44.5,-110.6,Big',
+    'Yogi,Purple,04/05/2018,heavy,,44.5,,',
+    ',Female,,,,,,'
+].join('\n');
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+describe('c-bear-import', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    async function createImportWithFile(csv = CSV) {
+        const element = createElement('c-bear-import', {
+            is: BearImport
+        });
+        document.body.appendChild(element);
+        getPicklistValues.emit(SEX_PICKLIST);
+        const input = element.shadowRoot.querySelector('.bear-import-file');
+        input.files = [new File([csv], 'bears.csv', { type: 'text/csv' })];
+        input.dispatchEvent(new CustomEvent('change'));
+        // Let the FileReader load the file, it may take several ticks
+        for (let tick = 0; tick < 50 && !element.shadowRoot.querySelector('lightning-datatable'); tick++) {
+            // eslint-disable-next-line no-await-in-loop
+            await flushPromises();
+        }
+        await flushPromises();
+        return element;
+    }
+
+    function previewRows(element) {
+        return element.shadowRoot.querySelector('lightning-datatable').data;
+    }
+
+    it('maps the columns from their headers', async () => {
+        // Arrange
+        const element = await createImportWithFile();
+
+        // Assert
+        const mappings = [...element.shadowRoot.querySelectorAll('.bear-import-mapping')].map(
+            (combobox) => combobox.value
+        );
+        expect(mappings).toEqual([
+            'name',
+            'sex',
+            'birthdate',
+            'weight',
+            'supervisor',
+            'latitude',
+            'longitude',
+            ''
+        ]);
+    });
+
+    it('previews the validation errors of each row', async () => {
+        // Arrange
+        const element = await createImportWithFile();
+
+        // Assert
+        const rows = previewRows(element);
+        expect(rows).toHaveLength(3);
+        expect(rows[0]).toMatchObject({
+            rowNumber: 2,
+            name: 'Kodiak',
+            sex: 'Male',
+            weight: 450,
+            latitude: 44.5,
+            longitude: -110.6,
+            status: 'Ready'
+        });
+        expect(rows[1].status).toContain('Purple is not a valid sex.');
+        expect(rows[1].status).toContain('Birthdate must use the YYYY-MM-DD format.');
+        expect(rows[1].status).toContain('Weight (Kg) must be a number between 0 and 9999.');
+        expect(rows[1].status).toContain('Latitude and longitude must be set together.');
+        expect(rows[2].status).toBe('Name is required for a new bear.');
+        const submit = element.shadowRoot.querySelector('.bear-import-submit');
+        expect(submit.label).toBe('Import 1 bears');
+    });
+
+    it('rejects rows that update the same bear', async () => {
+        // Arrange
+        const csv = [
+            'Id,Name,Weight (Kg)',
+            'a00000000000001AAA,Kodiak,450',
+            'a00000000000001AAA,Kodiak,460',
+            'a00000000000002AAA,Yogi,300'
+        ].join('\n');
+
+        // Act
+        const element = await createImportWithFile(csv);
+
+        // Assert
+        const rows = previewRows(element);
+        expect(rows[0].status).toBe('Id a00000000000001AAA is used by several rows.');
+        expect(rows[1].status).toBe('Id a00000000000001AAA is used by several rows.');
+        expect(rows[2].status).toBe('Ready');
+    });
+
+    it('reads back the text escaped by the CSV export', async () => {
+        // Arrange
+        const csv = ['Id,Name,Supervisor', "a00000000000001AAA,'=Boo Boo,'@ranger"].join('\n');
+
+        // Act
+        const element = await createImportWithFile(csv);
+
+        // Assert
+        expect(previewRows(element)[0]).toMatchObject({
+            name: '=Boo Boo',
+            supervisor: '@ranger',
+            status: 'Ready'
+        });
+    });
+
+    it('blocks the import when a field is mapped twice', async () => {
+        // Arrange
+        const element = await createImportWithFile();
+
+        // Act
+        const notes = element.shadowRoot.querySelectorAll('.bear-import-mapping')[7];
+        notes.dispatchEvent(new CustomEvent('change', { detail: { value: 'name' } }));
+        await flushPromises();
+
+        // Assert
+        const error = element.shadowRoot.querySelector('.bear-import-mapping-error');
+        expect(error.textContent).toBe('Name is mapped from several columns.');
+        expect(element.shadowRoot.querySelector('.bear-import-submit').disabled).toBe(true);
+    });
+
+    it('imports the valid rows and shows the result of each row', async () => {
+        // Arrange
+        importBears.mockResolvedValue([
+            { rowNumber: 2, recordId: 'a00000000000009AAA', created: true, success: true, errors: [] }
+        ]);
+        const element = await createImportWithFile();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        // Act
+        element.shadowRoot.querySelector('.bear-import-submit').click();
+        await flushPromises();
+
+        // Assert
+        expect(importBears).toHaveBeenCalledWith({
+            rows: [
+                {
+                    rowNumber: 2,
+                    name: 'Kodiak',
+                    sex: 'Male',
+                    birthdate: '2018-05-04',
+                    weight: 450,
+                    supervisor: 'ranger@ursus.park',
+                    latitude: 44.5,
+                    longitude: -110.6
+                }
+            ]
+        });
+        expect(previewRows(element)[0].status).toBe('Created');
+        expect(toastHandler.mock.calls[0][0].detail.message).toBe('1 of 3 rows imported');
+    });
+
+    it('imports a bear matched by name without a supervisor', async () => {
+        // Arrange
+        importBears.mockResolvedValue([
+            { rowNumber: 2, recordId: 'a00000000000001AAA', created: false, success: true, errors: [] }
+        ]);
+        const element = await createImportWithFile('Name,Weight (Kg)\nGrizzly,320');
+
+        // Act
+        element.shadowRoot.querySelector('.bear-import-submit').click();
+        await flushPromises();
+
+        // Assert
+        expect(importBears).toHaveBeenCalledWith({
+            rows: [{ rowNumber: 2, name: 'Grizzly', weight: 320 }]
+        });
+        expect(previewRows(element)[0].status).toBe('Updated');
+    });
+
+    it('shows the server errors of rejected rows', async () => {
+        // Arrange
+        importBears.mockResolvedValue([
+            {
+                rowNumber: 2,
+                success: false,
+                created: false,
+                errors: [{ message: 'No supervisor matches ranger@ursus.park.' }]
+            }
+        ]);
+        const element = await createImportWithFile();
+
+        // Act
+        element.shadowRoot.querySelector('.bear-import-submit').click();
+        await flushPromises();
+
+        // Assert
+        const row = previewRows(element)[0];
+        expect(row.status).toBe('No supervisor matches ranger@ursus.park.');
+        expect(row.statusClass).toBe('slds-text-color_error');
+    });
+
+    it('refuses files with too many rows', async () => {
+        // Arrange
+        const csv = ['Name', ...Array.from({ length: 1001 }, (_, i) => `Bear ${i}`)].join('\n');
+
+        // Act
+        const element = await createImportWithFile(csv);
+
+        // Assert
+        const error = element.shadowRoot.querySelector('.bear-import-error');
+        expect(error.textContent).toBe('Import at most 1000 bears at a time, the file has 1001.');
+        expect(element.shadowRoot.querySelector('lightning-datatable')).toBeNull();
+    });
+});
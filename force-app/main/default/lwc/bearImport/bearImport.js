@@ -0,0 +1,318 @@
+import { LightningElement, wire } from 'lwc';
+import { getObjectInfo, getPicklistValues } from 'lightning/uiObjectInfoApi';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { reduceErrors } from 'c/ldsUtils';
+import { parseCsv } from 'c/csvUtils';
+import BEAR_OBJECT from '@salesforce/schema/Bear__c';
+import SEX_FIELD from '@salesforce/schema/Bear__c.Sex__c';
+/** BearController.importBears(rows) Apex method */
+import importBears from '@salesforce/apex/BearController.importBears';
+
+// Import fields with the normalized column headers they are mapped from.
+// The labels match the headers of the bearList CSV export.
+const FIELDS = [
+  { value: 'recordId', label: 'Id', headers: ['id', 'recordid', 'bearid'] },
+  { value: 'name', label: 'Name', headers: ['name', 'bearname'] },
+  { value: 'sex', label: 'Sex', headers: ['sex', 'gender'] },
+  {
+    value: 'birthdate',
+    label: 'Birthdate',
+    headers: ['birthdate', 'birthday', 'dateofbirth', 'dob']
+  },
+  { value: 'height', label: 'Height (cm)', headers: ['heightcm', 'height'] },
+  { value: 'weight', label: 'Weight (Kg)', headers: ['weightkg', 'weight'] },
+  {
+    value: 'supervisor',
+    label: 'Supervisor',
+    headers: ['supervisor', 'supervisorname', 'supervisoremail']
+  },
+  { value: 'latitude', label: 'Latitude', headers: ['latitude', 'lat'] },
+  {
+    value: 'longitude',
+    label: 'Longitude',
+    headers: ['longitude', 'long', 'lng', 'lon']
+  }
+];
+const IGNORE_OPTION = { label: 'Do not import', value: '' };
+// Matches BearController.MAX_IMPORT_ROWS
+const MAX_IMPORT_ROWS = 1000;
+const NUMBER_RANGES = {
+  height: { min: 0, max: 9999 },
+  weight: { min: 0, max: 9999 },
+  latitude: { min: -90, max: 90 },
+  longitude: { min: -180, max: 180 }
+};
+
+const PREVIEW_COLUMNS = [
+  { label: 'Row', fieldName: 'rowNumber', type: 'number', initialWidth: 70 },
+  ...FIELDS.filter((field) => field.value !== 'recordId').map((field) => ({
+    label: field.label,
+    fieldName: field.value
+  })),
+  {
+    label: 'Status',
+    fieldName: 'status',
+    wrapText: true,
+    cellAttributes: { class: { fieldName: 'statusClass' } }
+  }
+];
+
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function guessField(header) {
+  const normalized = normalizeHeader(header);
+  const field = FIELDS.find((candidate) =>
+    candidate.headers.includes(normalized)
+  );
+  return field ? field.value : '';
+}
+
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`${file.name} cannot be read.`));
+    reader.readAsText(file);
+  });
+}
+
+export default class BearImport extends LightningElement {
+  fileName;
+  headers = [];
+  dataRows = [];
+  // Field mapped from each column, '' for ignored columns
+  mapping = [];
+  // Apex results by row number
+  results = {};
+  previewColumns = PREVIEW_COLUMNS;
+  isImporting = false;
+  error;
+
+  @wire(getObjectInfo, { objectApiName: BEAR_OBJECT })
+  objectInfo;
+
+  @wire(getPicklistValues, {
+    recordTypeId: '$objectInfo.data.defaultRecordTypeId',
+    fieldApiName: SEX_FIELD
+  })
+  sexPicklist;
+
+  get hasFile() {
+    return this.headers.length > 0;
+  }
+
+  get columnMappings() {
+    const options = [
+      IGNORE_OPTION,
+      ...FIELDS.map(({ value, label }) => ({ value, label }))
+    ];
+    return this.headers.map((header, index) => ({
+      key: `${index}`,
+      index,
+      header,
+      field: this.mapping[index],
+      options
+    }));
+  }
+
+  // Fields mapped from more than one column
+  get mappingErrors() {
+    const mapped = this.mapping.filter((field) => field);
+    const duplicates = FIELDS.filter(
+      (field) => mapped.filter((value) => value === field.value).length > 1
+    );
+    return duplicates.map(
+      (field) => `${field.label} is mapped from several columns.`
+    );
+  }
+
+  get hasMappingErrors() {
+    return this.mappingErrors.length > 0;
+  }
+
+  get mappingErrorMessage() {
+    return this.mappingErrors.join(' ');
+  }
+
+  // Rows converted to BearController.BearImportRow with their errors
+  get importRows() {
+    const rowValues = this.dataRows.map((cells) => {
+      const values = {};
+      this.mapping.forEach((field, column) => {
+        const value = (cells[column] || '').trim();
+        if (field && value) {
+          values[field] = value;
+        }
+      });
+      return values;
+    });
+    // A bear can only be saved once per import
+    const idCounts = {};
+    rowValues.forEach(({ recordId }) => {
+      if (recordId) {
+        idCounts[recordId] = (idCounts[recordId] || 0) + 1;
+      }
+    });
+    return rowValues.map((values, index) => {
+      const rowNumber = index + 2; // Row 1 holds the headers
+      const validation = this.validateRow(rowNumber, values);
+      if (idCounts[values.recordId] > 1) {
+        validation.errors.push(`Id ${values.recordId} is used by several rows.`);
+      }
+      return validation;
+    });
+  }
+
+  validateRow(rowNumber, values) {
+    const errors = [];
+    const row = { rowNumber, ...values };
+    if (!values.recordId && !values.name) {
+      errors.push('Name is required for a new bear.');
+    }
+    if (values.sex) {
+      const sexValues = this.sexPicklist?.data?.values || [];
+      const match = sexValues.find(
+        (option) => option.value.toLowerCase() === values.sex.toLowerCase()
+      );
+      if (match) {
+        row.sex = match.value;
+      } else if (sexValues.length) {
+        errors.push(`${values.sex} is not a valid sex.`);
+      }
+    }
+    if (values.birthdate) {
+      const time = Date.parse(values.birthdate);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(values.birthdate) || Number.isNaN(time)) {
+        errors.push('Birthdate must use the YYYY-MM-DD format.');
+      } else if (time > Date.now()) {
+        errors.push('Birthdate cannot be in the future.');
+      }
+    }
+    Object.entries(NUMBER_RANGES).forEach(([field, range]) => {
+      if (values[field] === undefined) {
+        return;
+      }
+      const number = Number(values[field]);
+      if (Number.isNaN(number) || number < range.min || number > range.max) {
+        const label = FIELDS.find((candidate) => candidate.value === field).label;
+        errors.push(
+          `${label} must be a number between ${range.min} and ${range.max}.`
+        );
+      } else {
+        row[field] = number;
+      }
+    });
+    if ((values.latitude === undefined) !== (values.longitude === undefined)) {
+      errors.push('Latitude and longitude must be set together.');
+    }
+    return { row, errors };
+  }
+
+  get previewRows() {
+    return this.importRows.map(({ row, errors }) => {
+      const result = this.results[row.rowNumber];
+      let status = 'Ready';
+      let statusClass = '';
+      if (errors.length) {
+        status = errors.join(' ');
+        statusClass = 'slds-text-color_error';
+      } else if (result && result.success) {
+        status = result.created ? 'Created' : 'Updated';
+        statusClass = 'slds-text-color_success';
+      } else if (result) {
+        status = reduceErrors(result.errors).join(', ');
+        statusClass = 'slds-text-color_error';
+      }
+      return { ...row, status, statusClass };
+    });
+  }
+
+  get validRowCount() {
+    return this.importRows.filter(({ errors }) => !errors.length).length;
+  }
+
+  get invalidRowCount() {
+    return this.dataRows.length - this.validRowCount;
+  }
+
+  get isImportDisabled() {
+    return (
+      this.isImporting ||
+      this.hasMappingErrors ||
+      this.validRowCount === 0 ||
+      this.dataRows.length > MAX_IMPORT_ROWS
+    );
+  }
+
+  get importLabel() {
+    return `Import ${this.validRowCount} bears`;
+  }
+
+  get errors() {
+    return reduceErrors(this.error).join(', ');
+  }
+
+  async handleFileChange(event) {
+    const [file] = event.target.files;
+    if (!file) {
+      return;
+    }
+    this.error = undefined;
+    this.results = {};
+    try {
+      const [headers = [], ...dataRows] = parseCsv(await readFile(file));
+      if (dataRows.length > MAX_IMPORT_ROWS) {
+        throw new Error(
+          `Import at most ${MAX_IMPORT_ROWS} bears at a time, the file has ${dataRows.length}.`
+        );
+      }
+      this.fileName = file.name;
+      this.headers = headers;
+      this.dataRows = dataRows;
+      this.mapping = headers.map(guessField);
+    } catch (error) {
+      this.error = error;
+      this.headers = [];
+      this.dataRows = [];
+      this.mapping = [];
+    }
+  }
+
+  handleMappingChange(event) {
+    const index = Number(event.target.dataset.index);
+    this.mapping = this.mapping.map((field, column) => {
+      return column === index ? event.detail.value : field;
+    });
+    this.results = {};
+  }
+
+  async handleImport() {
+    const rows = this.importRows
+      .filter(({ errors }) => !errors.length)
+      .map(({ row }) => row);
+    this.isImporting = true;
+    this.error = undefined;
+    try {
+      const results = await importBears({ rows });
+      const resultsByRow = {};
+      results.forEach((result) => {
+        resultsByRow[result.rowNumber] = result;
+      });
+      this.results = resultsByRow;
+      const successCount = results.filter((result) => result.success).length;
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: 'Bears imported',
+          message: `${successCount} of ${this.dataRows.length} rows imported`,
+          variant: successCount === this.dataRows.length ? 'success' : 'warning'
+        })
+      );
+    } catch (error) {
+      this.error = error;
+    } finally {
+      this.isImporting = false;
+    }
+  }
+}
@@ -1,5 +1,64 @@
 import { createElement } from '@lwc/engine-dom';
 import BearList from 'c/bearList';
+import { publish, subscribe } from 'lightning/messageService';
+import BEAR_LIST_UPDATE_MESSAGE from '@salesforce/messageChannel/BearListUpdate__c';
+import BEAR_SELECTION_MESSAGE from '@salesforce/messageChannel/BearSelection__c';
+import searchBearPage from '@salesforce/apex/BearController.searchBearPage';
+import exportBears from '@salesforce/apex/BearController.exportBears';
+import reassignSupervisor from '@salesforce/apex/BearController.reassignSupervisor';
+import { refreshApex } from '@salesforce/apex';
+import { updateRecord } from 'lightning/uiRecordApi';
+import { createListMessage, createCreatedBearMessage } from 'c/bearListMessage';
+
+// Mock the Apex wire adapter
+jest.mock(
+    '@salesforce/apex/BearController.searchBearPage',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+// Mock the imperative Apex calls
+jest.mock(
+    '@salesforce/apex/BearController.exportBears',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/BearController.reassignSupervisor',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock('@salesforce/apex', () => ({ refreshApex: jest.fn(() => Promise.resolve()) }), {
+    virtual: true
+});
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+const FIRST_PAGE = {
+    records: [
+        { Id: 'a00000000000001AAA', Name: 'Bear 1' },
+        { Id: 'a00000000000002AAA', Name: 'Bear 2' }
+    ],
+    totalCount: 3,
+    pageOffset: 0,
+    nextOffset: 2
+};
+const LAST_PAGE = {
+    records: [{ Id: 'a00000000000003AAA', Name: 'Bear 3' }],
+    totalCount: 3,
+    pageOffset: 2,
+    nextOffset: null
+};
 
 describe('c-bear-list', () => {
     afterEach(() => {
@@ -7,19 +66,664 @@ describe('c-bear-list', () => {
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        window.sessionStorage.clear();
+        window.localStorage.clear();
+        jest.clearAllMocks();
+    });
+
+    it('renders a tile for each bear of the first page', () => {
+        // Arrange
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+
+        // Act
+        document.body.appendChild(element);
+        searchBearPage.emit(FIRST_PAGE);
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const tiles = element.shadowRoot.querySelectorAll('c-bear-tile');
+            expect(tiles).toHaveLength(2);
+            expect(element.shadowRoot.querySelector('c-display-panel')).toBeNull();
+            expect(searchBearPage.getLastConfig()).toEqual({
+                filter: { searchTerm: '' },
+                sortBy: 'name',
+                sortDirection: 'asc',
+                pageSize: 20,
+                pageOffset: 0
+            });
+        });
+    });
+
+    it('requests the next page and appends it when Load more is clicked', () => {
+        // Arrange
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        searchBearPage.emit(FIRST_PAGE);
+
+        return Promise.resolve()
+            .then(() => {
+                // Act
+                element.shadowRoot.querySelector('lightning-button.load-more').click();
+            })
+            .then(() => {
+                expect(searchBearPage.getLastConfig().pageOffset).toBe(2);
+                searchBearPage.emit(LAST_PAGE);
+            })
+            .then(() => {
+                // Assert
+                const tiles = element.shadowRoot.querySelectorAll('c-bear-tile');
+                expect(tiles).toHaveLength(3);
+                expect(element.shadowRoot.querySelector('lightning-button.load-more')).toBeNull();
+            });
+    });
+
+    it('asks to narrow the search when no more bears can be loaded', async () => {
+        // Arrange
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        expect(element.shadowRoot.querySelector('.truncated-notice')).toBeNull();
+
+        // Act - past the OFFSET limit, the page has no next offset
+        searchBearPage.emit({ ...LAST_PAGE, totalCount: 2500 });
+        await flushPromises();
+
+        // Assert
+        expect(element.shadowRoot.querySelector('.result-summary').textContent).toBe(
+            'Showing 1 of 2500 bears'
+        );
+        expect(element.shadowRoot.querySelector('.truncated-notice')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('lightning-button.load-more')).toBeNull();
+    });
+
+    it('publishes the accumulated bear list', () => {
+        // Arrange
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+
+        // Act
+        searchBearPage.emit(FIRST_PAGE);
+
+        return Promise.resolve()
+            .then(() => {
+                element.shadowRoot.querySelector('lightning-button.load-more').click();
+            })
+            .then(() => {
+                searchBearPage.emit(LAST_PAGE);
+
+                // Assert
+                expect(publish).toHaveBeenCalledTimes(2);
+                expect(publish.mock.calls[1][1]).toBe(BEAR_LIST_UPDATE_MESSAGE);
+                const message = publish.mock.calls[1][2];
+                expect(message.version).toBe(1);
+                expect(message.bears).toHaveLength(3);
+                expect(message.bears[0]).toEqual(
+                    expect.objectContaining({ id: FIRST_PAGE.records[0].Id, name: FIRST_PAGE.records[0].Name })
+                );
+                expect(message.totalCount).toBe(LAST_PAGE.totalCount);
+                expect(message.page).toEqual({ offset: 0, size: 3, hasMore: false });
+            });
+    });
+
+    it('restarts from the first page after the search debounce', () => {
+        jest.useFakeTimers();
+        // Arrange
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        searchBearPage.emit(FIRST_PAGE);
+
+        return Promise.resolve()
+            .then(() => {
+                element.shadowRoot.querySelector('lightning-button.load-more').click();
+            })
+            .then(() => {
+                // Act
+                const input = element.shadowRoot.querySelector('lightning-input');
+                input.value = 'grizzly';
+                input.dispatchEvent(new CustomEvent('change'));
+                jest.advanceTimersByTime(300);
+            })
+            .then(() => {
+                // Assert
+                expect(searchBearPage.getLastConfig()).toEqual({
+                    filter: { searchTerm: 'grizzly' },
+                    sortBy: 'name',
+                    sortDirection: 'asc',
+                    pageSize: 20,
+                    pageOffset: 0
+                });
+                jest.useRealTimers();
+            });
+    });
+
+    it('keeps the bears when the search term ends up unchanged', async () => {
+        jest.useFakeTimers();
+        // Arrange
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        searchBearPage.emit(FIRST_PAGE);
+        await Promise.resolve();
+
+        // Act
+        const input = element.shadowRoot.querySelector('lightning-input');
+        input.value = 'g';
+        input.dispatchEvent(new CustomEvent('change'));
+        input.value = '';
+        input.dispatchEvent(new CustomEvent('change'));
+        jest.advanceTimersByTime(300);
+        jest.useRealTimers();
+        await Promise.resolve();
+
+        // Assert
+        expect(element.shadowRoot.querySelectorAll('c-bear-tile')).toHaveLength(2);
+        expect(searchBearPage.getLastConfig().filter).toEqual({ searchTerm: '' });
     });
 
-    it('TODO: test case generated by CLI command, please fill in test logic', () => {
+    it('keeps a search term typed just before a filter change', () => {
+        jest.useFakeTimers();
         // Arrange
         const element = createElement('c-bear-list', {
             is: BearList
         });
+        document.body.appendChild(element);
+
+        // Act
+        const input = element.shadowRoot.querySelector('lightning-input');
+        input.value = 'grizzly';
+        input.dispatchEvent(new CustomEvent('change'));
+        jest.advanceTimersByTime(100);
+        element.shadowRoot.querySelector('c-bear-filter').dispatchEvent(
+            new CustomEvent('filterchange', {
+                detail: { sex: 'Female' }
+            })
+        );
+        jest.advanceTimersByTime(300);
+        jest.useRealTimers();
+
+        return Promise.resolve().then(() => {
+            // Assert
+            expect(searchBearPage.getLastConfig().filter).toEqual({
+                sex: 'Female',
+                searchTerm: 'grizzly'
+            });
+        });
+    });
+
+    it('combines filter panel criteria with the search term', () => {
+        jest.useFakeTimers();
+        // Arrange
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+
+        // Act
+        const input = element.shadowRoot.querySelector('lightning-input');
+        input.value = 'grizzly';
+        input.dispatchEvent(new CustomEvent('change'));
+        jest.advanceTimersByTime(300);
+        const filterPanel = element.shadowRoot.querySelector('c-bear-filter');
+        filterPanel.dispatchEvent(
+            new CustomEvent('filterchange', {
+                detail: { sex: 'Female', minAge: 5 }
+            })
+        );
+        jest.advanceTimersByTime(300);
+        jest.useRealTimers();
+
+        return Promise.resolve().then(() => {
+            // Assert
+            expect(searchBearPage.getLastConfig().filter).toEqual({
+                sex: 'Female',
+                minAge: 5,
+                searchTerm: 'grizzly'
+            });
+            searchBearPage.emit(FIRST_PAGE);
+            const message = publish.mock.calls[0][2];
+            expect(message.searchTerm).toBe('grizzly');
+            expect(message.filters).toEqual({
+                sex: 'Female',
+                minAge: 5
+            });
+        });
+    });
+
+    it('reloads from the first page with the chosen sort and keeps it for the session', () => {
+        // Arrange
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        searchBearPage.emit(FIRST_PAGE);
+
+        return Promise.resolve()
+            .then(() => {
+                // Act
+                element.shadowRoot
+                    .querySelector('lightning-combobox.sort-by')
+                    .dispatchEvent(
+                        new CustomEvent('change', { detail: { value: 'weight' } })
+                    );
+                element.shadowRoot
+                    .querySelector('lightning-button-icon.sort-direction')
+                    .click();
+            })
+            .then(() => {
+                // Assert
+                const config = searchBearPage.getLastConfig();
+                expect(config.sortBy).toBe('weight');
+                expect(config.sortDirection).toBe('desc');
+                expect(config.pageOffset).toBe(0);
+                expect(element.shadowRoot.querySelectorAll('c-bear-tile')).toHaveLength(0);
+                expect(JSON.parse(window.sessionStorage.getItem('bearList.sort'))).toEqual({
+                    sortBy: 'weight',
+                    sortDirection: 'desc'
+                });
+            });
+    });
+
+    it('restores the sort stored for the session', () => {
+        // Arrange
+        window.sessionStorage.setItem(
+            'bearList.sort',
+            JSON.stringify({ sortBy: 'age', sortDirection: 'desc' })
+        );
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
 
         // Act
         document.body.appendChild(element);
 
         // Assert
-        // const div = element.shadowRoot.querySelector('div');
-        expect(1).toBe(1);
+        return Promise.resolve().then(() => {
+            const config = searchBearPage.getLastConfig();
+            expect(config.sortBy).toBe('age');
+            expect(config.sortDirection).toBe('desc');
+        });
+    });
+
+    it('publishes the bear of a clicked tile and highlights it', () => {
+        // Arrange
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        searchBearPage.emit(FIRST_PAGE);
+
+        return Promise.resolve()
+            .then(() => {
+                // Act
+                const tile = element.shadowRoot.querySelectorAll('c-bear-tile')[1];
+                tile.dispatchEvent(
+                    new CustomEvent('bearselect', { detail: FIRST_PAGE.records[1].Id })
+                );
+            })
+            .then(() => {
+                // Assert
+                expect(publish).toHaveBeenCalledWith(
+                    undefined,
+                    BEAR_SELECTION_MESSAGE,
+                    { bearId: FIRST_PAGE.records[1].Id, source: 'bearList' }
+                );
+                const tiles = element.shadowRoot.querySelectorAll('c-bear-tile');
+                expect(tiles[0].selected).toBe(false);
+                expect(tiles[1].selected).toBe(true);
+            });
+    });
+
+    it('highlights and scrolls to a bear selected on the map', () => {
+        // Arrange
+        const scrollIntoView = jest.fn();
+        window.HTMLElement.prototype.scrollIntoView = scrollIntoView;
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        searchBearPage.emit(FIRST_PAGE);
+        const selectionHandler = subscribe.mock.calls.find(
+            (call) => call[1] === BEAR_SELECTION_MESSAGE
+        )[2];
+
+        // Act
+        selectionHandler({ bearId: FIRST_PAGE.records[1].Id, source: 'bearMap' });
+
+        return Promise.resolve().then(() => {
+            // Assert
+            const tiles = element.shadowRoot.querySelectorAll('c-bear-tile');
+            expect(tiles[1].selected).toBe(true);
+            expect(scrollIntoView).toHaveBeenCalledTimes(1);
+            delete window.HTMLElement.prototype.scrollIntoView;
+        });
+    });
+
+    it('displays an error when the bears fail to load', () => {
+        // Arrange
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+
+        // Act
+        searchBearPage.error();
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const panel = element.shadowRoot.querySelector('c-display-panel');
+            expect(panel.errors).toBeTruthy();
+            expect(panel.retryable).toBe(true);
+        });
+    });
+
+    it('reloads the bears when retrying after an error', async () => {
+        // Arrange
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        searchBearPage.error();
+        await flushPromises();
+
+        // Act
+        element.shadowRoot.querySelector('c-display-panel').dispatchEvent(new CustomEvent('retry'));
+
+        // Assert
+        expect(refreshApex).toHaveBeenCalledTimes(1);
+    });
+
+    it('reassigns the checked bears and reports failed records', async () => {
+        // Arrange
+        reassignSupervisor.mockResolvedValue([
+            { recordId: 'a00000000000001AAA', name: 'Bear 1', success: true, errors: [] },
+            {
+                recordId: 'a00000000000002AAA',
+                name: 'Bear 2',
+                success: false,
+                errors: [{ message: 'Insufficient access', statusCode: 'INSUFFICIENT_ACCESS', fields: [] }]
+            }
+        ]);
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        searchBearPage.emit(FIRST_PAGE);
+        await flushPromises();
+
+        // Act
+        element.shadowRoot.querySelector('lightning-button.select-mode').click();
+        await flushPromises();
+        const checkAll = element.shadowRoot.querySelector('lightning-input.check-all');
+        checkAll.checked = true;
+        checkAll.dispatchEvent(new CustomEvent('change'));
+        element.shadowRoot.querySelector('lightning-button.reassign').click();
+        await flushPromises();
+        element.shadowRoot
+            .querySelector('lightning-record-picker')
+            .dispatchEvent(new CustomEvent('change', { detail: { recordId: '003000000000001AAA' } }));
+        await flushPromises();
+        element.shadowRoot.querySelector('lightning-button.reassign-apply').click();
+        await flushPromises();
+
+        // Assert
+        expect(reassignSupervisor).toHaveBeenCalledWith({
+            bearIds: ['a00000000000001AAA', 'a00000000000002AAA'],
+            supervisorId: '003000000000001AAA'
+        });
+        expect(toastHandler).toHaveBeenCalledTimes(1);
+        expect(toastHandler.mock.calls[0][0].detail.variant).toBe('warning');
+        const failures = element.shadowRoot.querySelectorAll('.reassign-failures li');
+        expect(failures).toHaveLength(1);
+        expect(failures[0].textContent).toContain('Bear 2: Insufficient access');
+        expect(refreshApex).toHaveBeenCalledTimes(1);
+        const checkedTiles = Array.from(element.shadowRoot.querySelectorAll('c-bear-tile')).filter(
+            (tile) => tile.checked
+        );
+        expect(checkedTiles).toHaveLength(1);
+        expect(checkedTiles[0].dataset.id).toBe('a00000000000002AAA');
+    });
+
+    it('shows the error when the reassignment call fails', async () => {
+        // Arrange
+        reassignSupervisor.mockRejectedValue({ body: { message: 'Select at least one bear' } });
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        searchBearPage.emit(FIRST_PAGE);
+        await flushPromises();
+
+        // Act
+        element.shadowRoot.querySelector('lightning-button.select-mode').click();
+        await flushPromises();
+        element.shadowRoot
+            .querySelector('c-bear-tile')
+            .dispatchEvent(new CustomEvent('bearcheck', { detail: { bearId: 'a00000000000001AAA', checked: true } }));
+        await flushPromises();
+        element.shadowRoot.querySelector('lightning-button.reassign').click();
+        await flushPromises();
+        element.shadowRoot
+            .querySelector('lightning-record-picker')
+            .dispatchEvent(new CustomEvent('change', { detail: { recordId: '003000000000001AAA' } }));
+        await flushPromises();
+        element.shadowRoot.querySelector('lightning-button.reassign-apply').click();
+        await flushPromises();
+
+        // Assert
+        const error = element.shadowRoot.querySelector('.reassign-error');
+        expect(error.textContent).toBe('Select at least one bear');
+        expect(refreshApex).not.toHaveBeenCalled();
+    });
+
+    it('refreshes the bears when a tile is updated', async () => {
+        // Arrange
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        searchBearPage.emit(FIRST_PAGE);
+        await flushPromises();
+
+        // Act
+        element.shadowRoot
+            .querySelector('c-bear-tile')
+            .dispatchEvent(new CustomEvent('bearupdated', { detail: 'a00000000000001AAA' }));
+        await flushPromises();
+
+        // Assert
+        expect(refreshApex).toHaveBeenCalledTimes(1);
+    });
+
+    it('refreshes the bears when a bear is created', async () => {
+        // Arrange
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        searchBearPage.emit(FIRST_PAGE);
+        await flushPromises();
+        const listUpdateHandler = subscribe.mock.calls.find(
+            (call) => call[1] === BEAR_LIST_UPDATE_MESSAGE
+        )[2];
+
+        // Act
+        listUpdateHandler(
+            createListMessage({
+                bears: FIRST_PAGE.records,
+                totalCount: FIRST_PAGE.totalCount,
+                page: { offset: 0, size: FIRST_PAGE.records.length, hasMore: true }
+            })
+        );
+        listUpdateHandler(createCreatedBearMessage({ Id: 'a00000000000004AAA', Name: 'Bear 4' }));
+        await flushPromises();
+
+        // Assert
+        expect(refreshApex).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores malformed BearListUpdate__c messages', async () => {
+        // Arrange
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        searchBearPage.emit(FIRST_PAGE);
+        await flushPromises();
+        const listUpdateHandler = subscribe.mock.calls.find(
+            (call) => call[1] === BEAR_LIST_UPDATE_MESSAGE
+        )[2];
+
+        // Act
+        listUpdateHandler({ createdBear: { Id: 'a00000000000004AAA', Name: 'Bear 4' } });
+        await flushPromises();
+
+        // Assert
+        expect(refreshApex).not.toHaveBeenCalled();
+        expect(warn).toHaveBeenCalledTimes(1);
+        warn.mockRestore();
+    });
+
+    it('exports every bear matching the filters to CSV', async () => {
+        // Arrange
+        exportBears.mockResolvedValue({
+            records: [...FIRST_PAGE.records, ...LAST_PAGE.records],
+            totalCount: 3,
+            pageOffset: 0
+        });
+        const clickSpy = jest
+            .spyOn(HTMLAnchorElement.prototype, 'click')
+            .mockImplementation(() => {});
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        searchBearPage.emit(FIRST_PAGE);
+        await flushPromises();
+
+        // Act
+        element.shadowRoot.querySelector('lightning-button-icon.export-csv').click();
+        await flushPromises();
+
+        // Assert
+        expect(exportBears).toHaveBeenCalledWith({
+            filter: { searchTerm: '' },
+            sortBy: 'name',
+            sortDirection: 'asc'
+        });
+        expect(clickSpy).toHaveBeenCalledTimes(1);
+        const link = clickSpy.mock.contexts[0];
+        expect(link.download).toBe('bears.csv');
+        const csv = decodeURIComponent(link.href.split(',').slice(1).join(','));
+        const lines = csv.split('\r\n');
+        expect(lines).toHaveLength(4);
+        expect(lines[0]).toBe(
+            'Id,Name,Sex,Birthdate,Age,Height (cm),Weight (Kg),Supervisor,Latitude,Longitude'
+        );
+        expect(lines[3]).toBe('a00000000000003AAA,Bear 3,,,,,,,,');
+        clickSpy.mockRestore();
+    });
+
+    it('warns when the export is truncated', async () => {
+        // Arrange
+        exportBears.mockResolvedValue({
+            records: FIRST_PAGE.records,
+            totalCount: 12000,
+            pageOffset: 0
+        });
+        const clickSpy = jest
+            .spyOn(HTMLAnchorElement.prototype, 'click')
+            .mockImplementation(() => {});
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        searchBearPage.emit(FIRST_PAGE);
+        await flushPromises();
+
+        // Act
+        element.shadowRoot.querySelector('lightning-button-icon.export-csv').click();
+        await flushPromises();
+
+        // Assert
+        expect(clickSpy).toHaveBeenCalledTimes(1);
+        expect(toastHandler).toHaveBeenCalledTimes(1);
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+            title: 'Export truncated',
+            variant: 'warning'
+        });
+        expect(toastHandler.mock.calls[0][0].detail.message).toBe(
+            'The file has the first 2 of 12000 bears, narrow the filters to export the rest.'
+        );
+        clickSpy.mockRestore();
+    });
+
+    it('shows the cached bears with a banner when offline', async () => {
+        // Arrange
+        const onLineSpy = jest.spyOn(window.navigator, 'onLine', 'get');
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        searchBearPage.emit(FIRST_PAGE);
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.stale-banner')).toBeNull();
+
+        // Act
+        onLineSpy.mockReturnValue(false);
+        searchBearPage.error();
+        await flushPromises();
+
+        // Assert
+        expect(element.shadowRoot.querySelector('.stale-banner')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('c-display-panel')).toBeNull();
+        expect(element.shadowRoot.querySelectorAll('c-bear-tile')).toHaveLength(2);
+        const messages = publish.mock.calls.filter((call) => call[1] === BEAR_LIST_UPDATE_MESSAGE);
+        expect(typeof messages[messages.length - 1][2].cachedAt).toBe('number');
+        onLineSpy.mockRestore();
+    });
+
+    it('marks bears with queued edits and saves them once online', async () => {
+        // Arrange
+        window.localStorage.setItem(
+            'bearCache.edits',
+            JSON.stringify([{ Id: 'a00000000000001AAA', Weight__c: 310 }])
+        );
+        updateRecord.mockResolvedValue({});
+        const element = createElement('c-bear-list', {
+            is: BearList
+        });
+        document.body.appendChild(element);
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        // Act
+        searchBearPage.emit(FIRST_PAGE);
+        await Promise.resolve();
+
+        // Assert
+        const tile = element.shadowRoot.querySelector('c-bear-tile');
+        expect(tile.pendingSync).toBe(true);
+        await flushPromises();
+        expect(updateRecord).toHaveBeenCalledWith({
+            fields: { Id: 'a00000000000001AAA', Weight__c: 310 }
+        });
+        expect(toastHandler.mock.calls[0][0].detail.title).toBe('Offline edits saved');
+        expect(refreshApex).toHaveBeenCalledTimes(1);
+        expect(element.shadowRoot.querySelector('c-bear-tile').pendingSync).toBe(false);
     });
-});
\ No newline at end of file
+});
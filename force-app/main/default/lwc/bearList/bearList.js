@@ -1,40 +1,593 @@
 import { LightningElement, wire } from 'lwc';
 import { NavigationMixin } from 'lightning/navigation';
-import { publish, MessageContext } from 'lightning/messageService';
+import { publish, subscribe, unsubscribe, MessageContext } from 'lightning/messageService';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
+import { reduceErrors } from 'c/ldsUtils';
+import { toCsv, downloadCsv } from 'c/csvUtils';
+import { createListMessage, readBearListMessage } from 'c/bearListMessage';
+import {
+  isConnectivityError,
+  readRoster,
+  saveRoster,
+  searchRoster,
+  readQueuedEdits,
+  replayQueuedEdits
+} from 'c/bearCache';
 import BEAR_LIST_UPDATE_MESSAGE from '@salesforce/messageChannel/BearListUpdate__c';
-/** BearController.searchBears(searchTerm) Apex method */
-import searchBears from '@salesforce/apex/BearController.searchBears';
+import BEAR_SELECTION_MESSAGE from '@salesforce/messageChannel/BearSelection__c';
+/** BearController.searchBearPage(filter, sortBy, sortDirection, pageSize, pageOffset) Apex method */
+import searchBearPage from '@salesforce/apex/BearController.searchBearPage';
+/** BearController.exportBears(filter, sortBy, sortDirection) Apex method */
+import exportBears from '@salesforce/apex/BearController.exportBears';
+/** BearController.reassignSupervisor(bearIds, supervisorId) Apex method */
+import reassignSupervisor from '@salesforce/apex/BearController.reassignSupervisor';
+
+const PAGE_SIZE = 20;
+// Distance in pixels from the bottom of the list that triggers the next page
+const SCROLL_THRESHOLD = 100;
+
+const SORT_OPTIONS = [
+  { label: 'Name', value: 'name' },
+  { label: 'Age', value: 'age' },
+  { label: 'Weight', value: 'weight' },
+  { label: 'Height', value: 'height' },
+  { label: 'Birthdate', value: 'birthdate' },
+  { label: 'Supervisor', value: 'supervisor' }
+];
+const DEFAULT_SORT = { sortBy: 'name', sortDirection: 'asc' };
+// The chosen sort is kept for the rest of the browser session
+const SORT_STORAGE_KEY = 'bearList.sort';
+// Identifies this component's BearSelection__c messages
+const SELECTION_SOURCE = 'bearList';
+// Exported columns, their headers match the bearImport field labels
+const EXPORT_COLUMNS = [
+  { header: 'Id', value: (bear) => bear.Id },
+  { header: 'Name', value: (bear) => bear.Name },
+  { header: 'Sex', value: (bear) => bear.Sex__c },
+  { header: 'Birthdate', value: (bear) => bear.Birthdate__c },
+  { header: 'Age', value: (bear) => bear.Age__c },
+  { header: 'Height (cm)', value: (bear) => bear.Height__c },
+  { header: 'Weight (Kg)', value: (bear) => bear.Weight__c },
+  { header: 'Supervisor', value: (bear) => bear.Supervisor__r?.Name },
+  { header: 'Latitude', value: (bear) => bear.Location__Latitude__s },
+  { header: 'Longitude', value: (bear) => bear.Location__Longitude__s }
+];
+
+function readStoredSort() {
+  try {
+    const sort = JSON.parse(window.sessionStorage.getItem(SORT_STORAGE_KEY));
+    if (
+      SORT_OPTIONS.some((option) => option.value === sort.sortBy) &&
+      ['asc', 'desc'].includes(sort.sortDirection)
+    ) {
+      return sort;
+    }
+  } catch {
+    // Nothing stored yet or storage unavailable
+  }
+  return DEFAULT_SORT;
+}
+
+function storeSort(sort) {
+  try {
+    window.sessionStorage.setItem(SORT_STORAGE_KEY, JSON.stringify(sort));
+  } catch {
+    // Storage unavailable, the sort only lasts for this component
+  }
+}
 
 export default class BearList extends NavigationMixin(LightningElement) {
   searchTerm = '';
+  // Search term and filter panel criteria sent to Apex
+  filter = { searchTerm: '' };
+  // Criteria changed during the debounce delay, applied together
+  pendingSearchTerm;
+  pendingPanelFilter;
+  showFilters = false;
+  sortOptions = SORT_OPTIONS;
+  sort = readStoredSort();
+  pageSize = PAGE_SIZE;
+  pageOffset = 0;
+
+  bears = [];
+  totalCount = 0;
+  nextOffset;
+  error;
+  isLoading = true;
+  selectedBearId;
+  scrollToSelection = false;
+  selectionSubscription = null;
+  listUpdateSubscription = null;
+  // Bulk supervisor reassignment state
+  isSelectMode = false;
+  checkedBearIds = [];
+  showReassign = false;
+  newSupervisorId;
+  isReassigning = false;
+  reassignFailures = [];
+  reassignError;
+  isExporting = false;
+  // Time of the cached roster shown while the server cannot be reached
+  staleSince;
+  // Bears with edits waiting for the connection to come back
+  queuedEditIds = readQueuedEdits().map((edit) => edit.Id);
+  isReplaying = false;
+  // Stored wire result for refreshApex
+  wiredBearPage;
+  refreshOnLoad = false;
 
-  bears;
   @wire(MessageContext) messageContext;
-  @wire(searchBears, { searchTerm: '$searchTerm' })
+
+  connectedCallback() {
+    // Save the edits made offline once the connection is back
+    this.handleOnline = () => {
+      this.replayEdits();
+      this.refreshBears();
+    };
+    window.addEventListener('online', this.handleOnline);
+    // Subscribe to BearSelection__c message
+    this.selectionSubscription = subscribe(
+      this.messageContext,
+      BEAR_SELECTION_MESSAGE,
+      (message) => {
+        this.handleBearSelection(message);
+      }
+    );
+    // Subscribe to BearListUpdate__c message
+    this.listUpdateSubscription = subscribe(
+      this.messageContext,
+      BEAR_LIST_UPDATE_MESSAGE,
+      (message) => {
+        this.handleBearListUpdate(message);
+      }
+    );
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('online', this.handleOnline);
+    // Unsubscribe from BearSelection__c message
+    unsubscribe(this.selectionSubscription);
+    this.selectionSubscription = null;
+    // Unsubscribe from BearListUpdate__c message
+    unsubscribe(this.listUpdateSubscription);
+    this.listUpdateSubscription = null;
+  }
+
+  renderedCallback() {
+    if (!this.scrollToSelection) {
+      return;
+    }
+    this.scrollToSelection = false;
+    const tile = this.template.querySelector(
+      `c-bear-tile[data-id="${this.selectedBearId}"]`
+    );
+    if (tile) {
+      tile.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }
+
+  @wire(searchBearPage, {
+    filter: '$filter',
+    sortBy: '$sort.sortBy',
+    sortDirection: '$sort.sortDirection',
+    pageSize: '$pageSize',
+    pageOffset: '$pageOffset'
+  })
   loadBears(result) {
-    this.bears = result;
-    if (result.data) {
-      const message = {
-        bears: result.data
-      };
-      publish(this.messageContext, BEAR_LIST_UPDATE_MESSAGE, message);
+    this.wiredBearPage = result;
+    const { error, data } = result;
+    if (data && this.refreshOnLoad) {
+      // This first page came from the client cache, fetch it from the server
+      this.refreshOnLoad = false;
+      refreshApex(result);
+      return;
+    }
+    this.isLoading = false;
+    if (data) {
+      // Replace anything loaded from this offset onwards so that a
+      // re-emitted page does not duplicate tiles
+      this.bears = this.bears.slice(0, data.pageOffset).concat(data.records);
+      this.totalCount = data.totalCount;
+      this.nextOffset = data.nextOffset;
+      this.error = undefined;
+      this.staleSince = undefined;
+      saveRoster(data.records);
+      this.publishBears();
+      if (this.queuedEditIds.length) {
+        this.replayEdits();
+      }
+    } else if (error) {
+      const roster = readRoster();
+      if (roster && isConnectivityError(error)) {
+        this.showCachedBears(roster.savedAt);
+      } else {
+        this.error = error;
+      }
+    }
+  }
+
+  publishBears() {
+    const { searchTerm, ...filters } = this.filter;
+    const message = createListMessage({
+      bears: this.bears,
+      searchTerm,
+      filters,
+      totalCount: this.totalCount,
+      page: { offset: 0, size: this.bears.length, hasMore: this.hasMore },
+      cachedAt: this.staleSince
+    });
+    publish(this.messageContext, BEAR_LIST_UPDATE_MESSAGE, message);
+  }
+
+  // Searches the cached roster when the server cannot be reached
+  showCachedBears(savedAt) {
+    this.bears = searchRoster(
+      this.filter,
+      this.sort.sortBy,
+      this.sort.sortDirection
+    );
+    this.totalCount = this.bears.length;
+    this.nextOffset = null;
+    this.error = undefined;
+    this.staleSince = savedAt;
+    this.publishBears();
+  }
+
+  async replayEdits() {
+    if (this.isReplaying) {
+      return;
+    }
+    this.isReplaying = true;
+    try {
+      const { saved, failed } = await replayQueuedEdits();
+      failed.forEach(({ edit, error }) => {
+        const bear = this.bears.find((candidate) => candidate.Id === edit.Id);
+        this.dispatchEvent(
+          new ShowToastEvent({
+            title: `Offline edit of ${bear ? bear.Name : 'a bear'} was not saved`,
+            message: reduceErrors(error).join(', '),
+            variant: 'error'
+          })
+        );
+      });
+      if (saved.length) {
+        this.dispatchEvent(
+          new ShowToastEvent({
+            title: 'Offline edits saved',
+            message: `${saved.length} bear edits were saved`,
+            variant: 'success'
+          })
+        );
+        this.refreshBears();
+      }
+    } finally {
+      this.queuedEditIds = readQueuedEdits().map((edit) => edit.Id);
+      this.isReplaying = false;
     }
   }
 
   handleSearchTermChange(event) {
-    // Debouncing this method: do not update the reactive property as
-    // long as this function is being called within a delay of 300 ms.
+    this.pendingSearchTerm = event.target.value;
+    this.scheduleFilter();
+  }
+
+  handleFilterChange(event) {
+    // Sliders fire change events while dragging, so debounce like the search
+    this.pendingPanelFilter = event.detail;
+    this.scheduleFilter();
+  }
+
+  scheduleFilter() {
+    // Debouncing the criteria: do not update the reactive property as
+    // long as they change within a delay of 300 ms.
     // This is to avoid a very large number of Apex method calls.
+    // Changes of the search term and of the panel are collected so that
+    // neither is lost when both change within the delay.
     window.clearTimeout(this.delayTimeout);
-    const searchTerm = event.target.value;
     // eslint-disable-next-line @lwc/lwc/no-async-operation
     this.delayTimeout = setTimeout(() => {
-      this.searchTerm = searchTerm;
+      const { searchTerm, ...panelFilter } = this.filter;
+      const nextSearchTerm = this.pendingSearchTerm ?? searchTerm;
+      const nextPanelFilter = this.pendingPanelFilter ?? panelFilter;
+      this.pendingSearchTerm = undefined;
+      this.pendingPanelFilter = undefined;
+      const filter = { ...nextPanelFilter, searchTerm: nextSearchTerm };
+      // Unchanged criteria do not change the wire parameters, so the wire
+      // would never re-emit the emptied list
+      if (JSON.stringify(filter) === JSON.stringify(this.filter)) {
+        return;
+      }
+      this.searchTerm = nextSearchTerm;
+      this.applyFilter(filter);
     }, 300);
   }
 
+  handleToggleFilters() {
+    this.showFilters = !this.showFilters;
+  }
+
+  handleSortByChange(event) {
+    this.applySort({ ...this.sort, sortBy: event.detail.value });
+  }
+
+  handleSortDirectionToggle() {
+    this.applySort({
+      ...this.sort,
+      sortDirection: this.isDescending ? 'asc' : 'desc'
+    });
+  }
+
+  applyFilter(filter) {
+    this.resetPages();
+    this.filter = filter;
+  }
+
+  applySort(sort) {
+    storeSort(sort);
+    this.resetPages();
+    this.sort = sort;
+  }
+
+  resetPages() {
+    // Restart from the first page for the new criteria
+    this.bears = [];
+    this.pageOffset = 0;
+    this.isLoading = true;
+  }
+
+  handleListScroll(event) {
+    const list = event.target;
+    if (
+      list.scrollHeight - list.scrollTop - list.clientHeight <
+      SCROLL_THRESHOLD
+    ) {
+      this.loadMore();
+    }
+  }
+
+  handleLoadMore() {
+    this.loadMore();
+  }
+
+  loadMore() {
+    if (this.isLoading || !this.hasMore) {
+      return;
+    }
+    this.isLoading = true;
+    this.pageOffset = this.nextOffset;
+  }
+
+  // The panel is hidden rather than removed so that its criteria survive
+  get filterPanelClass() {
+    return this.showFilters ? '' : 'slds-hide';
+  }
+
+  get isDescending() {
+    return this.sort.sortDirection === 'desc';
+  }
+
+  get sortDirectionIcon() {
+    return this.isDescending ? 'utility:arrowdown' : 'utility:arrowup';
+  }
+
+  get sortDirectionLabel() {
+    return this.isDescending ? 'Sort descending' : 'Sort ascending';
+  }
+
+  get tiles() {
+    return this.bears.map((bear) => ({
+      bear,
+      selected: bear.Id === this.selectedBearId,
+      checked: this.checkedBearIds.includes(bear.Id),
+      pendingSync: this.queuedEditIds.includes(bear.Id)
+    }));
+  }
+
+  get isStale() {
+    return this.staleSince !== undefined;
+  }
+
+  get selectModeLabel() {
+    return this.isSelectMode ? 'Done selecting' : 'Select bears';
+  }
+
+  get hasReassignFailures() {
+    return this.reassignFailures.length > 0;
+  }
+
+  get checkedCount() {
+    return this.checkedBearIds.length;
+  }
+
+  get allChecked() {
+    return this.hasResults && this.checkedBearIds.length === this.bears.length;
+  }
+
+  get isReassignDisabled() {
+    return this.checkedBearIds.length === 0;
+  }
+
+  get isApplyReassignDisabled() {
+    return !this.newSupervisorId || this.isReassigning;
+  }
+
+  get reassignErrors() {
+    return reduceErrors(this.reassignError).join(', ');
+  }
+
+  handleSelectModeToggle() {
+    this.isSelectMode = !this.isSelectMode;
+    this.checkedBearIds = [];
+    this.showReassign = false;
+    this.reassignFailures = [];
+  }
+
+  handleBearCheck(event) {
+    const { bearId, checked } = event.detail;
+    const otherIds = this.checkedBearIds.filter((id) => id !== bearId);
+    this.checkedBearIds = checked ? [...otherIds, bearId] : otherIds;
+  }
+
+  handleCheckAll(event) {
+    this.checkedBearIds = event.target.checked
+      ? this.bears.map((bear) => bear.Id)
+      : [];
+  }
+
+  handleReassignClick() {
+    this.showReassign = true;
+    this.reassignError = undefined;
+  }
+
+  handleReassignCancel() {
+    this.showReassign = false;
+    this.newSupervisorId = undefined;
+  }
+
+  handleNewSupervisorChange(event) {
+    this.newSupervisorId = event.detail.recordId || undefined;
+  }
+
+  async handleReassignApply() {
+    this.isReassigning = true;
+    this.reassignError = undefined;
+    this.reassignFailures = [];
+    try {
+      const results = await reassignSupervisor({
+        bearIds: this.checkedBearIds,
+        supervisorId: this.newSupervisorId
+      });
+      const failures = results.filter((result) => !result.success);
+      this.reassignFailures = failures.map((result) => ({
+        recordId: result.recordId,
+        name: result.name,
+        message: reduceErrors(result.errors).join(', ')
+      }));
+      const successCount = results.length - failures.length;
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: 'Supervisor reassigned',
+          message: `${successCount} of ${results.length} bears reassigned`,
+          variant: failures.length === 0 ? 'success' : 'warning'
+        })
+      );
+      // Keep the failed bears checked so that they can be retried
+      this.checkedBearIds = failures.map((result) => result.recordId);
+      if (failures.length === 0) {
+        this.showReassign = false;
+        this.newSupervisorId = undefined;
+      }
+      await this.refreshBears();
+    } catch (error) {
+      this.reassignError = error;
+    } finally {
+      this.isReassigning = false;
+    }
+  }
+
+  // Exports every bear that matches the filters, not only the loaded pages
+  async handleExport() {
+    this.isExporting = true;
+    try {
+      const { records: bears, totalCount } = await exportBears({
+        filter: this.filter,
+        sortBy: this.sort.sortBy,
+        sortDirection: this.sort.sortDirection
+      });
+      const rows = [
+        EXPORT_COLUMNS.map((column) => column.header),
+        ...bears.map((bear) => EXPORT_COLUMNS.map((column) => column.value(bear)))
+      ];
+      downloadCsv(toCsv(rows), 'bears.csv');
+      // Apex caps the export, tell the user the file is incomplete
+      if (bears.length < totalCount) {
+        this.dispatchEvent(
+          new ShowToastEvent({
+            title: 'Export truncated',
+            message: `The file has the first ${bears.length} of ${totalCount} bears, narrow the filters to export the rest.`,
+            variant: 'warning'
+          })
+        );
+      }
+    } catch (error) {
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: 'Export failed',
+          message: reduceErrors(error).join(', '),
+          variant: 'error'
+        })
+      );
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  handleBearUpdated() {
+    // The edit may have been queued while offline
+    this.queuedEditIds = readQueuedEdits().map((edit) => edit.Id);
+    this.refreshBears();
+  }
+
+  // Reloads the list from the first page, bypassing the client cache
+  refreshBears() {
+    if (this.pageOffset === 0) {
+      return refreshApex(this.wiredBearPage);
+    }
+    this.refreshOnLoad = true;
+    this.resetPages();
+    return undefined;
+  }
+
+  handleRetry() {
+    this.refreshBears();
+  }
+
   get hasResults() {
-    return this.bears && this.bears.data && this.bears.data.length > 0;
+    return this.bears.length > 0;
+  }
+
+  get hasMore() {
+    return this.nextOffset !== undefined && this.nextOffset !== null;
+  }
+
+  get isLoadMoreDisabled() {
+    return this.isLoading;
+  }
+
+  get resultSummary() {
+    return `Showing ${this.bears.length} of ${this.totalCount} bears`;
+  }
+
+  // searchBearPage pages with OFFSET, which stops at 2,000 rows, so the
+  // bears past that cannot be loaded
+  get isTruncated() {
+    return !this.hasMore && this.bears.length < this.totalCount;
+  }
+
+  handleBearListUpdate(message) {
+    // Only new bears matter, other updates are published by this list or
+    // describe another list
+    if (readBearListMessage(message)?.createdBear) {
+      this.refreshBears();
+    }
+  }
+
+  handleBearSelection(message) {
+    // Ignore our own selections
+    if (message.source === SELECTION_SOURCE) {
+      return;
+    }
+    this.selectedBearId = message.bearId;
+    this.scrollToSelection = true;
+  }
+
+  handleBearSelect(event) {
+    this.selectedBearId = event.detail;
+    publish(this.messageContext, BEAR_SELECTION_MESSAGE, {
+      bearId: this.selectedBearId,
+      source: SELECTION_SOURCE
+    });
   }
 
   handleBearView(event) {
@@ -0,0 +1,125 @@
+import {
+    MESSAGE_VERSION,
+    toBearSummary,
+    createListMessage,
+    createCreatedBearMessage,
+    validateBearListMessage,
+    readBearListMessage
+} from 'c/bearListMessage';
+
+const GRIZZLY = {
+    Id: 'a00000000000001AAA',
+    Name: 'Grizzly',
+    Sex__c: 'Female',
+    Birthdate__c: '2012-04-01',
+    Age__c: 12,
+    Age_In_Months__c: 150,
+    Height__c: 210,
+    Weight__c: 300,
+    Supervisor__c: '003000000000001AAA',
+    Supervisor__r: { Name: 'Jane Doe' },
+    Zone__r: { Name: 'Hayden Valley' },
+    Out_Of_Zone__c: true,
+    Location__Latitude__s: 44.428,
+    Location__Longitude__s: -110.5885,
+    distance: 1.5
+};
+const YOGI = { Id: 'a00000000000003AAA', Name: 'Yogi' };
+const PAGE = { offset: 0, size: 2, hasMore: false };
+
+describe('c-bear-list-message', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('toBearSummary', () => {
+        it('converts a bear record', () => {
+            expect(toBearSummary(GRIZZLY)).toEqual({
+                id: 'a00000000000001AAA',
+                name: 'Grizzly',
+                sex: 'Female',
+                birthdate: '2012-04-01',
+                ageYears: 12,
+                ageInMonths: 150,
+                heightCm: 210,
+                weightKg: 300,
+                supervisorId: '003000000000001AAA',
+                supervisorName: 'Jane Doe',
+                zoneName: 'Hayden Valley',
+                isOutOfZone: true,
+                location: { latitude: 44.428, longitude: -110.5885 },
+                distanceKm: 1.5
+            });
+        });
+
+        it('fills missing fields with null and reads numbers from form values', () => {
+            const summary = toBearSummary({ ...YOGI, Height__c: '180', Weight__c: '', Location__Latitude__s: 44.5 });
+
+            expect(summary.sex).toBeNull();
+            expect(summary.heightCm).toBe(180);
+            expect(summary.weightKg).toBeNull();
+            expect(summary.isOutOfZone).toBe(false);
+            expect(summary.location).toBeNull();
+        });
+    });
+
+    it('builds valid list and created bear messages', () => {
+        const listMessage = createListMessage({
+            bears: [GRIZZLY, YOGI],
+            searchTerm: 'gr',
+            filters: { sex: 'Female' },
+            totalCount: 2,
+            page: PAGE
+        });
+        const createdBearMessage = createCreatedBearMessage(YOGI);
+
+        expect(listMessage).toEqual({
+            version: MESSAGE_VERSION,
+            searchTerm: 'gr',
+            filters: { sex: 'Female' },
+            totalCount: 2,
+            page: PAGE,
+            bears: [toBearSummary(GRIZZLY), toBearSummary(YOGI)],
+            cachedAt: null
+        });
+        expect(validateBearListMessage(listMessage)).toEqual([]);
+        expect(createdBearMessage).toEqual({ version: MESSAGE_VERSION, createdBear: toBearSummary(YOGI) });
+        expect(validateBearListMessage(createdBearMessage)).toEqual([]);
+    });
+
+    it('lists the problems of a malformed message', () => {
+        const message = createListMessage({ bears: [GRIZZLY], totalCount: 1, page: PAGE });
+
+        expect(validateBearListMessage(null)).toEqual(['message is not an object']);
+        expect(validateBearListMessage({ ...message, version: 2 })).toEqual(['version 2 is not supported']);
+        expect(
+            validateBearListMessage({
+                ...message,
+                bears: [{ ...message.bears[0], id: '', weightKg: '300', location: { latitude: 95, longitude: 0 } }],
+                totalCount: -1,
+                page: { offset: 0 }
+            })
+        ).toEqual([
+            'bears[0].id is missing',
+            'bears[0].weightKg is not a number',
+            'bears[0].location is not a valid location',
+            'totalCount is not a count',
+            'page is not a valid page'
+        ]);
+        expect(
+            validateBearListMessage({ version: MESSAGE_VERSION, createdBear: { ...toBearSummary(YOGI), id: null } })
+        ).toEqual(['createdBear.id is missing']);
+    });
+
+    it('logs and ignores malformed messages when reading them', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const message = createCreatedBearMessage(YOGI);
+
+        expect(readBearListMessage(message)).toBe(message);
+        expect(warn).not.toHaveBeenCalled();
+        expect(readBearListMessage({ bears: [YOGI] })).toBeNull();
+        expect(warn).toHaveBeenCalledWith(
+            'Ignored malformed BearListUpdate__c message: version undefined is not supported'
+        );
+    });
+});
@@ -0,0 +1,210 @@
+/**
+ * Contract of the BearListUpdate__c message channel. Publishers build their
+ * messages with createListMessage or createCreatedBearMessage, subscribers
+ * read them with readBearListMessage so that none of them depends on the
+ * Bear__c field names.
+ */
+
+// Increase when a change breaks existing subscribers
+export const MESSAGE_VERSION = 1;
+
+function isBlank(value) {
+    return value === undefined || value === null;
+}
+
+function valueOrNull(value) {
+    return isBlank(value) ? null : value;
+}
+
+// Form inputs hold numbers as strings
+function numberOrNull(value) {
+    if (isBlank(value) || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Converts a Bear__c record into the bear sent on the channel.
+ * @param {Object} bear Bear__c record, optionally with a distance in km
+ * @return {Object} Bear summary
+ */
+export function toBearSummary(bear) {
+    const latitude = numberOrNull(bear.Location__Latitude__s);
+    const longitude = numberOrNull(bear.Location__Longitude__s);
+    return {
+        id: bear.Id,
+        name: bear.Name,
+        sex: valueOrNull(bear.Sex__c),
+        birthdate: valueOrNull(bear.Birthdate__c),
+        ageYears: numberOrNull(bear.Age__c),
+        ageInMonths: numberOrNull(bear.Age_In_Months__c),
+        heightCm: numberOrNull(bear.Height__c),
+        weightKg: numberOrNull(bear.Weight__c),
+        supervisorId: valueOrNull(bear.Supervisor__c),
+        supervisorName: valueOrNull(bear.Supervisor__r?.Name),
+        zoneName: valueOrNull(bear.Zone__r?.Name),
+        isOutOfZone: bear.Out_Of_Zone__c === true,
+        location:
+            latitude === null || longitude === null
+                ? null
+                : { latitude, longitude },
+        distanceKm: numberOrNull(bear.distance)
+    };
+}
+
+/**
+ * Builds the message describing the bears a list shows.
+ * @param {Object} list
+ * @param {Object[]} list.bears Bear__c records
+ * @param {String} [list.searchTerm] Search term the bears were loaded with
+ * @param {Object} [list.filters] Other criteria the bears were loaded with
+ * @param {Number} list.totalCount Number of bears matching the criteria
+ * @param {Object} list.page Offset, size and hasMore of the loaded bears
+ * @param {Number} [list.cachedAt] Time the bears were saved offline, when
+ * they come from the offline cache
+ * @return {Object} BearListUpdate__c message
+ */
+export function createListMessage({
+    bears,
+    searchTerm,
+    filters,
+    totalCount,
+    page,
+    cachedAt
+}) {
+    return {
+        version: MESSAGE_VERSION,
+        searchTerm: searchTerm || '',
+        filters: filters || {},
+        totalCount,
+        page,
+        bears: bears.map(toBearSummary),
+        cachedAt: valueOrNull(cachedAt)
+    };
+}
+
+/**
+ * Builds the message announcing a new bear.
+ * @param {Object} bear Bear__c record
+ * @return {Object} BearListUpdate__c message
+ */
+export function createCreatedBearMessage(bear) {
+    return {
+        version: MESSAGE_VERSION,
+        createdBear: toBearSummary(bear)
+    };
+}
+
+function isNumberOrNull(value) {
+    return value === null || Number.isFinite(value);
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function validateLocation(location) {
+    if (location === null) {
+        return true;
+    }
+    return (
+        isObject(location) &&
+        Number.isFinite(location.latitude) &&
+        Math.abs(location.latitude) <= 90 &&
+        Number.isFinite(location.longitude) &&
+        Math.abs(location.longitude) <= 180
+    );
+}
+
+function validateBear(bear, path) {
+    if (!isObject(bear)) {
+        return [`${path} is not an object`];
+    }
+    const problems = [];
+    if (typeof bear.id !== 'string' || !bear.id) {
+        problems.push(`${path}.id is missing`);
+    }
+    if (typeof bear.name !== 'string') {
+        problems.push(`${path}.name is not a string`);
+    }
+    ['ageYears', 'ageInMonths', 'heightCm', 'weightKg', 'distanceKm']
+        .filter((field) => !isNumberOrNull(bear[field]))
+        .forEach((field) => problems.push(`${path}.${field} is not a number`));
+    if (!validateLocation(bear.location)) {
+        problems.push(`${path}.location is not a valid location`);
+    }
+    return problems;
+}
+
+function validatePage(page) {
+    return (
+        isObject(page) &&
+        isCount(page.offset) &&
+        isCount(page.size) &&
+        typeof page.hasMore === 'boolean'
+    );
+}
+
+/**
+ * Lists what is wrong with a BearListUpdate__c message.
+ * @param {Object} message
+ * @return {String[]} Problems, empty when the message is valid
+ */
+export function validateBearListMessage(message) {
+    if (!isObject(message)) {
+        return ['message is not an object'];
+    }
+    if (message.version !== MESSAGE_VERSION) {
+        return [`version ${message.version} is not supported`];
+    }
+    if (message.createdBear !== undefined) {
+        return validateBear(message.createdBear, 'createdBear');
+    }
+    const problems = [];
+    if (!Array.isArray(message.bears)) {
+        problems.push('bears is not an array');
+    } else {
+        message.bears.forEach((bear, index) =>
+            problems.push(...validateBear(bear, `bears[${index}]`))
+        );
+    }
+    if (typeof message.searchTerm !== 'string') {
+        problems.push('searchTerm is not a string');
+    }
+    if (!isObject(message.filters)) {
+        problems.push('filters is not an object');
+    }
+    if (!isCount(message.totalCount)) {
+        problems.push('totalCount is not a count');
+    }
+    if (!validatePage(message.page)) {
+        problems.push('page is not a valid page');
+    }
+    if (!isNumberOrNull(message.cachedAt)) {
+        problems.push('cachedAt is not a time');
+    }
+    return problems;
+}
+
+/**
+ * Returns a BearListUpdate__c message when it is valid. Malformed messages
+ * are logged and ignored.
+ * @param {Object} message
+ * @return {Object|null} The message, or null when it is malformed
+ */
+export function readBearListMessage(message) {
+    const problems = validateBearListMessage(message);
+    if (problems.length > 0) {
+        console.warn(
+            `Ignored malformed BearListUpdate__c message: ${problems.join(', ')}`
+        );
+        return null;
+    }
+    return message;
+}
@@ -1,5 +1,61 @@
 import { createElement } from '@lwc/engine-dom';
 import BearLocation from 'c/bearLocation';
+import { getRecord } from 'lightning/uiRecordApi';
+import { refreshApex } from '@salesforce/apex';
+import getBearTrack from '@salesforce/apex/BearController.getBearTrack';
+
+// Mock the Apex wire adapter
+jest.mock(
+    '@salesforce/apex/BearController.getBearTrack',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+// Mock refreshApex
+jest.mock(
+    '@salesforce/apex',
+    () => {
+        return {
+            refreshApex: jest.fn(() => Promise.resolve())
+        };
+    },
+    { virtual: true }
+);
+
+const RECORD_ID = 'a00000000000001AAA';
+
+function mockBear(latitude, longitude) {
+    return {
+        apiName: 'Bear__c',
+        fields: {
+            Name: { value: 'Grizzly' },
+            Location__Latitude__s: { value: latitude },
+            Location__Longitude__s: { value: longitude }
+        }
+    };
+}
+
+const MOCK_TRACK = [
+    {
+        Id: 'a01000000000001AAA',
+        Recorded_At__c: '2026-10-01T08:00:00.000Z',
+        Location__Latitude__s: 44.4,
+        Location__Longitude__s: -110.5,
+        Source__c: 'Record Update'
+    },
+    {
+        Id: 'a01000000000002AAA',
+        Recorded_At__c: '2026-10-02T08:00:00.000Z',
+        Location__Latitude__s: 44.5,
+        Location__Longitude__s: -110.6,
+        Source__c: 'GPS Collar'
+    }
+];
 
 describe('c-bear-location', () => {
     afterEach(() => {
@@ -7,19 +63,184 @@ describe('c-bear-location', () => {
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        jest.clearAllMocks();
     });
 
-    it('TODO: test case generated by CLI command, please fill in test logic', () => {
-        // Arrange
+    function createComponent() {
         const element = createElement('c-bear-location', {
             is: BearLocation
         });
+        element.recordId = RECORD_ID;
+        document.body.appendChild(element);
+        return element;
+    }
+
+    it('shows the current location when there is no track', () => {
+        // Arrange
+        const element = createComponent();
 
         // Act
-        document.body.appendChild(element);
+        getRecord.emit(mockBear(44.4, -110.5));
+        getBearTrack.emit([]);
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const map = element.shadowRoot.querySelector('lightning-map');
+            expect(map.mapMarkers).toHaveLength(1);
+            expect(map.mapMarkers[0].title).toBe('Grizzly');
+            const card = element.shadowRoot.querySelector('lightning-card');
+            expect(card.title).toBe("Grizzly's location");
+        });
+    });
+
+    it('renders the track in order with the latest position emphasized', () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        getRecord.emit(mockBear(44.5, -110.6));
+        getBearTrack.emit(MOCK_TRACK);
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const map = element.shadowRoot.querySelector('lightning-map');
+            expect(map.mapMarkers).toHaveLength(2);
+            expect(map.mapMarkers[0].title).toMatch(/^#1: /);
+            expect(map.mapMarkers[1].title).toMatch(/^Latest position: /);
+            expect(map.mapMarkers[1].mapIcon.fillColor).not.toBe(
+                map.mapMarkers[0].mapIcon.fillColor
+            );
+            expect(map.center).toEqual({
+                location: { Latitude: 44.5, Longitude: -110.6 }
+            });
+        });
+    });
+
+    it('requests the track for the picked date range', () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        element.shadowRoot
+            .querySelector('lightning-input.from-date')
+            .dispatchEvent(
+                new CustomEvent('change', { detail: { value: '2026-01-01' } })
+            );
+        element.shadowRoot
+            .querySelector('lightning-input.to-date')
+            .dispatchEvent(
+                new CustomEvent('change', { detail: { value: '2026-02-01' } })
+            );
+
+        // Assert
+        return Promise.resolve().then(() => {
+            expect(getBearTrack.getLastConfig()).toEqual({
+                bearId: RECORD_ID,
+                fromDate: '2026-01-01',
+                toDate: '2026-02-01'
+            });
+        });
+    });
+
+    it('defaults the date range to the local dates', () => {
+        // Arrange - late in the evening, when the UTC date is already the next day west of UTC
+        jest.useFakeTimers({ now: new Date(2026, 1, 28, 23, 30) });
+
+        // Act
+        const element = createComponent();
+        jest.useRealTimers();
 
         // Assert
-        // const div = element.shadowRoot.querySelector('div');
-        expect(1).toBe(1);
+        expect(element.shadowRoot.querySelector('lightning-input.to-date').value).toBe('2026-02-28');
+        expect(element.shadowRoot.querySelector('lightning-input.from-date').value).toBe('2026-01-29');
+    });
+
+    it('leaves the date range open when a date is cleared', () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        element.shadowRoot
+            .querySelector('lightning-input.from-date')
+            .dispatchEvent(new CustomEvent('change', { detail: { value: '' } }));
+        element.shadowRoot
+            .querySelector('lightning-input.to-date')
+            .dispatchEvent(new CustomEvent('change', { detail: { value: '' } }));
+
+        // Assert
+        return Promise.resolve().then(() => {
+            expect(getBearTrack.getLastConfig()).toEqual({
+                bearId: RECORD_ID,
+                fromDate: null,
+                toDate: null
+            });
+        });
+    });
+
+    it('reloads the track when the bear moves', () => {
+        // Arrange
+        createComponent();
+        getRecord.emit(mockBear(44.4, -110.5));
+        getBearTrack.emit(MOCK_TRACK);
+
+        // Act
+        getRecord.emit(mockBear(44.6, -110.7));
+
+        // Assert
+        return Promise.resolve().then(() => {
+            expect(refreshApex).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    it('shows the zone status and outline of the bear', () => {
+        // Arrange
+        const element = createComponent();
+        const bear = mockBear(44.4, -110.5);
+        bear.fields.Out_Of_Zone__c = { value: true };
+        bear.fields.Zone__r = {
+            value: {
+                fields: {
+                    Name: { value: 'Hayden Valley' },
+                    Radius_Km__c: { value: 5 },
+                    Center__Latitude__s: { value: 44.65 },
+                    Center__Longitude__s: { value: -110.45 }
+                }
+            }
+        };
+
+        // Act
+        getRecord.emit(bear);
+        getBearTrack.emit([]);
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const status = element.shadowRoot.querySelector('.zone-status');
+            expect(status.label).toBe('Outside of Hayden Valley');
+            expect(status.classList).toContain('slds-theme_error');
+            const map = element.shadowRoot.querySelector('lightning-map');
+            expect(map.mapMarkers).toHaveLength(2);
+            expect(map.mapMarkers[1]).toMatchObject({
+                type: 'Circle',
+                radius: 5000,
+                location: { Latitude: 44.65, Longitude: -110.45 }
+            });
+            expect(map.center).toEqual({
+                location: { Latitude: 44.4, Longitude: -110.5 }
+            });
+        });
+    });
+
+    it('tells when the bear has no zone', () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        getRecord.emit(mockBear(44.4, -110.5));
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const status = element.shadowRoot.querySelector('.zone-status');
+            expect(status.label).toBe('No zone assigned');
+        });
     });
-});
\ No newline at end of file
+});
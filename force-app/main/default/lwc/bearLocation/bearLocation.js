@@ -1,23 +1,75 @@
 import { LightningElement, api, wire } from 'lwc';
 import { getRecord, getFieldValue } from 'lightning/uiRecordApi';
+import { refreshApex } from '@salesforce/apex';
+import { reduceErrors } from 'c/ldsUtils';
+import { toIsoDate } from 'c/dateUtils';
+/** BearController.getBearTrack(bearId, fromDate, toDate) Apex method */
+import getBearTrack from '@salesforce/apex/BearController.getBearTrack';
 
 // Set Bear object fields
 const NAME_FIELD = 'Bear__c.Name';
 const LOCATION_LATITUDE_FIELD = 'Bear__c.Location__Latitude__s';
 const LOCATION_LONGITUDE_FIELD = 'Bear__c.Location__Longitude__s';
 
+const OUT_OF_ZONE_FIELD = 'Bear__c.Out_Of_Zone__c';
+const ZONE_NAME_FIELD = 'Bear__c.Zone__r.Name';
+const ZONE_RADIUS_FIELD = 'Bear__c.Zone__r.Radius_Km__c';
+const ZONE_CENTER_LATITUDE_FIELD = 'Bear__c.Zone__r.Center__Latitude__s';
+const ZONE_CENTER_LONGITUDE_FIELD = 'Bear__c.Zone__r.Center__Longitude__s';
+
 const bearFields = [
   NAME_FIELD,
   LOCATION_LATITUDE_FIELD,
   LOCATION_LONGITUDE_FIELD
 ];
+// Zones are left out for users who cannot read them
+const zoneFields = [
+  OUT_OF_ZONE_FIELD,
+  ZONE_NAME_FIELD,
+  ZONE_RADIUS_FIELD,
+  ZONE_CENTER_LATITUDE_FIELD,
+  ZONE_CENTER_LONGITUDE_FIELD
+];
+const ZONE_COLOR = '#2e844a';
+
+// Track shown by default, in days up to today
+const DEFAULT_TRACK_DAYS = 30;
+
+const TRACK_POINT_ICON = {
+  path: 'M 0,0 m -5,0 a 5,5 0 1,0 10,0 a 5,5 0 1,0 -10,0',
+  fillColor: '#706e6b',
+  fillOpacity: 0.8,
+  strokeWeight: 1,
+  scale: 1
+};
+const LATEST_POSITION_ICON = {
+  path: 'M 0,0 m -9,0 a 9,9 0 1,0 18,0 a 9,9 0 1,0 -18,0',
+  fillColor: '#ba0517',
+  fillOpacity: 1,
+  strokeWeight: 2,
+  scale: 1
+};
 
 export default class BearLocation extends LightningElement {
   @api recordId;
   name;
-  mapMarkers = [];
+  latitude;
+  longitude;
+  zone;
+  isOutOfZone = false;
+  track = [];
+  trackResult;
+  trackError;
+  toDate = toIsoDate(new Date());
+  fromDate = toIsoDate(
+    new Date(Date.now() - DEFAULT_TRACK_DAYS * 24 * 60 * 60 * 1000)
+  );
 
-  @wire(getRecord, { recordId: '$recordId', fields: bearFields })
+  @wire(getRecord, {
+    recordId: '$recordId',
+    fields: bearFields,
+    optionalFields: zoneFields
+  })
   loadBear({ error, data }) {
     if (error) {
       // TODO: handle error
@@ -26,9 +78,80 @@ export default class BearLocation extends LightningElement {
       this.name = getFieldValue(data, NAME_FIELD);
       const Latitude = getFieldValue(data, LOCATION_LATITUDE_FIELD);
       const Longitude = getFieldValue(data, LOCATION_LONGITUDE_FIELD);
+      const hasMoved =
+        this.latitude !== undefined &&
+        (Latitude !== this.latitude || Longitude !== this.longitude);
+      this.latitude = Latitude;
+      this.longitude = Longitude;
+      const zoneName = getFieldValue(data, ZONE_NAME_FIELD);
+      this.zone = zoneName
+        ? {
+            name: zoneName,
+            radiusKm: getFieldValue(data, ZONE_RADIUS_FIELD),
+            latitude: getFieldValue(data, ZONE_CENTER_LATITUDE_FIELD),
+            longitude: getFieldValue(data, ZONE_CENTER_LONGITUDE_FIELD)
+          }
+        : undefined;
+      this.isOutOfZone = getFieldValue(data, OUT_OF_ZONE_FIELD) === true;
 
-      // Transform bear data into map markers
-      this.mapMarkers = [
+      // The move was captured as a new track point, reload the track
+      if (hasMoved && this.trackResult) {
+        refreshApex(this.trackResult);
+      }
+    }
+  }
+
+  @wire(getBearTrack, {
+    bearId: '$recordId',
+    fromDate: '$fromDate',
+    toDate: '$toDate'
+  })
+  loadTrack(result) {
+    this.trackResult = result;
+    if (result.data) {
+      this.track = result.data;
+      this.trackError = undefined;
+    } else if (result.error) {
+      this.track = [];
+      this.trackError = result.error;
+    }
+  }
+
+  // Bear positions followed by the outline of the bear zone
+  get mapMarkers() {
+    if (!this.zone) {
+      return this.positionMarkers;
+    }
+    return [
+      ...this.positionMarkers,
+      {
+        location: {
+          Latitude: this.zone.latitude,
+          Longitude: this.zone.longitude
+        },
+        type: 'Circle',
+        // In meters
+        radius: this.zone.radiusKm * 1000,
+        title: this.zone.name,
+        description: `Park zone, ${this.zone.radiusKm} km radius`,
+        strokeColor: ZONE_COLOR,
+        strokeOpacity: 0.8,
+        strokeWeight: 2,
+        fillColor: ZONE_COLOR,
+        fillOpacity: 0.1
+      }
+    ];
+  }
+
+  // Transform the track into ordered map markers, emphasizing the latest position
+  get positionMarkers() {
+    if (this.track.length === 0) {
+      if (this.latitude === undefined) {
+        return [];
+      }
+      const Latitude = this.latitude;
+      const Longitude = this.longitude;
+      return [
         {
           location: { Latitude, Longitude },
           title: this.name,
@@ -36,6 +159,65 @@ export default class BearLocation extends LightningElement {
         }
       ];
     }
+    const lastIndex = this.track.length - 1;
+    return this.track.map((point, index) => {
+      const Latitude = point.Location__Latitude__s;
+      const Longitude = point.Location__Longitude__s;
+      const recordedAt = new Date(point.Recorded_At__c).toLocaleString();
+      const isLatest = index === lastIndex;
+      return {
+        location: { Latitude, Longitude },
+        value: point.Id,
+        title: isLatest
+          ? `Latest position: ${recordedAt}`
+          : `#${index + 1}: ${recordedAt}`,
+        description: `Coords: ${Latitude}, ${Longitude} (${point.Source__c})`,
+        mapIcon: isLatest ? LATEST_POSITION_ICON : TRACK_POINT_ICON
+      };
+    });
+  }
+
+  // Center on the latest position
+  get center() {
+    const markers = this.positionMarkers;
+    return markers.length > 0
+      ? { location: markers[markers.length - 1].location }
+      : undefined;
+  }
+
+  get zoneStatusLabel() {
+    if (!this.zone) {
+      return 'No zone assigned';
+    }
+    return this.isOutOfZone
+      ? `Outside of ${this.zone.name}`
+      : `Inside ${this.zone.name}`;
+  }
+
+  get zoneStatusClass() {
+    if (!this.zone) {
+      return 'zone-status';
+    }
+    return this.isOutOfZone
+      ? 'zone-status slds-theme_error'
+      : 'zone-status slds-theme_success';
+  }
+
+  get listView() {
+    return this.track.length > 1 ? 'visible' : 'hidden';
+  }
+
+  get trackErrors() {
+    return reduceErrors(this.trackError).join(', ');
+  }
+
+  // A cleared date leaves that end of the range open
+  handleFromDateChange(event) {
+    this.fromDate = event.detail.value || null;
+  }
+
+  handleToDateChange(event) {
+    this.toDate = event.detail.value || null;
   }
 
   get cardTitle() {
@@ -1,5 +1,74 @@
 import { createElement } from '@lwc/engine-dom';
 import BearMap from 'c/bearMap';
+import { publish, subscribe } from 'lightning/messageService';
+import BEAR_LIST_UPDATE_MESSAGE from '@salesforce/messageChannel/BearListUpdate__c';
+import BEAR_SELECTION_MESSAGE from '@salesforce/messageChannel/BearSelection__c';
+import searchBearsNear from '@salesforce/apex/BearController.searchBearsNear';
+import getParkZones from '@salesforce/apex/BearController.getParkZones';
+import {
+    createListMessage,
+    createCreatedBearMessage,
+    toBearSummary
+} from 'c/bearListMessage';
+
+// Mock the imperative Apex call
+jest.mock(
+    '@salesforce/apex/BearController.searchBearsNear',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+// Mock the Apex wire adapter
+jest.mock(
+    '@salesforce/apex/BearController.getParkZones',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+const MOCK_BEARS = [
+    {
+        Id: 'a00000000000001AAA',
+        Name: 'Grizzly',
+        Location__Latitude__s: 44.428,
+        Location__Longitude__s: -110.5885
+    },
+    {
+        Id: 'a00000000000002AAA',
+        Name: 'Kodiak',
+        Location__Latitude__s: 44.5,
+        Location__Longitude__s: -110.6
+    }
+];
+
+// Builds the BearListUpdate__c message of a list showing all of its bears
+function listMessage(bears) {
+    return createListMessage({
+        bears,
+        totalCount: bears.length,
+        page: { offset: 0, size: bears.length, hasMore: false }
+    });
+}
+
+// Returns the messages published on a message channel
+function publishedMessages(channel) {
+    return publish.mock.calls
+        .filter((call) => call[1] === channel)
+        .map((call) => call[2]);
+}
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
 
 describe('c-bear-map', () => {
     afterEach(() => {
@@ -7,19 +76,404 @@ describe('c-bear-map', () => {
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        window.localStorage.clear();
+        jest.clearAllMocks();
     });
 
-    it('TODO: test case generated by CLI command, please fill in test logic', () => {
-        // Arrange
+    function createMap() {
         const element = createElement('c-bear-map', {
             is: BearMap
         });
+        document.body.appendChild(element);
+        // Deliver messages through the subscriptions
+        const messageHandler = subscribe.mock.calls.find(
+            (call) => call[1] === BEAR_LIST_UPDATE_MESSAGE
+        )[2];
+        const selectionHandler = subscribe.mock.calls.find(
+            (call) => call[1] === BEAR_SELECTION_MESSAGE
+        )[2];
+        return { element, messageHandler, selectionHandler };
+    }
+
+    it('renders a marker for each bear of a BearListUpdate__c message', async () => {
+        // Arrange
+        const { element, messageHandler } = createMap();
 
         // Act
-        document.body.appendChild(element);
+        messageHandler(listMessage(MOCK_BEARS));
+        await flushPromises();
+
+        // Assert
+        const map = element.shadowRoot.querySelector('lightning-map');
+        expect(map.mapMarkers).toHaveLength(2);
+        expect(map.mapMarkers[0].value).toBe(MOCK_BEARS[0].Id);
+        expect(map.mapMarkers[0].location).toEqual({
+            Latitude: 44.428,
+            Longitude: -110.5885
+        });
+    });
+
+    it('adds the marker of a created bear to the displayed markers', async () => {
+        // Arrange
+        const { element, messageHandler } = createMap();
+        messageHandler(listMessage([MOCK_BEARS[0]]));
+
+        // Act
+        messageHandler(createCreatedBearMessage(MOCK_BEARS[1]));
+        await flushPromises();
+
+        // Assert
+        const map = element.shadowRoot.querySelector('lightning-map');
+        expect(map.mapMarkers.map((marker) => marker.value)).toEqual([
+            MOCK_BEARS[0].Id,
+            MOCK_BEARS[1].Id
+        ]);
+    });
+
+    it('searches around a selected marker in near mode and republishes the result', async () => {
+        // Arrange
+        searchBearsNear.mockResolvedValue([
+            { bear: MOCK_BEARS[1], distance: 8.05 }
+        ]);
+        const { element, messageHandler } = createMap();
+        messageHandler(listMessage(MOCK_BEARS));
+        element.shadowRoot.querySelector('lightning-button-icon-stateful').click();
+        await flushPromises();
+
+        // Act
+        element.shadowRoot.querySelector('lightning-map').dispatchEvent(
+            new CustomEvent('markerselect', {
+                detail: { selectedMarkerValue: MOCK_BEARS[0].Id }
+            })
+        );
+        await flushPromises();
+        await flushPromises();
+
+        // Assert
+        expect(searchBearsNear).toHaveBeenCalledWith({
+            latitude: 44.428,
+            longitude: -110.5885,
+            radiusKm: 10
+        });
+        const messages = publishedMessages(BEAR_LIST_UPDATE_MESSAGE);
+        expect(messages).toHaveLength(1);
+        const message = messages[0];
+        expect(message.version).toBe(1);
+        expect(message.bears).toEqual([
+            toBearSummary({ ...MOCK_BEARS[1], distance: 8.05 })
+        ]);
+        expect(message.totalCount).toBe(1);
+        expect(message.filters).toEqual({
+            latitude: 44.428,
+            longitude: -110.5885,
+            radiusKm: 10
+        });
+        const map = element.shadowRoot.querySelector('lightning-map');
+        expect(map.mapMarkers[0].description).toContain('8.05 km away');
+    });
+
+    it('ignores marker selection outside of near mode', async () => {
+        // Arrange
+        const { element, messageHandler } = createMap();
+        messageHandler(listMessage(MOCK_BEARS));
+
+        // Act
+        element.shadowRoot.querySelector('lightning-map').dispatchEvent(
+            new CustomEvent('markerselect', {
+                detail: { selectedMarkerValue: MOCK_BEARS[0].Id }
+            })
+        );
+        await flushPromises();
+
+        // Assert
+        expect(searchBearsNear).not.toHaveBeenCalled();
+    });
+
+    it('displays the error when the near search fails', async () => {
+        // Arrange
+        searchBearsNear.mockRejectedValue({
+            body: { message: 'Radius must be greater than 0' }
+        });
+        const { element, messageHandler } = createMap();
+        messageHandler(listMessage(MOCK_BEARS));
+        element.shadowRoot.querySelector('lightning-button-icon-stateful').click();
+        await flushPromises();
+
+        // Act
+        element.shadowRoot.querySelector('lightning-map').dispatchEvent(
+            new CustomEvent('markerselect', {
+                detail: { selectedMarkerValue: MOCK_BEARS[0].Id }
+            })
+        );
+        await flushPromises();
+        await flushPromises();
+
+        // Assert
+        const error = element.shadowRoot.querySelector('.slds-text-color_error');
+        expect(error.textContent).toBe('Radius must be greater than 0');
+        expect(publishedMessages(BEAR_LIST_UPDATE_MESSAGE)).toHaveLength(0);
+    });
+
+    it('publishes the bear of a selected marker', async () => {
+        // Arrange
+        const { element, messageHandler } = createMap();
+        messageHandler(listMessage(MOCK_BEARS));
+        await flushPromises();
+
+        // Act
+        element.shadowRoot.querySelector('lightning-map').dispatchEvent(
+            new CustomEvent('markerselect', {
+                detail: { selectedMarkerValue: MOCK_BEARS[1].Id }
+            })
+        );
+
+        // Assert
+        expect(publishedMessages(BEAR_SELECTION_MESSAGE)).toEqual([
+            { bearId: MOCK_BEARS[1].Id, source: 'bearMap' }
+        ]);
+    });
+
+    it('ignores a marker selection without a value', async () => {
+        // Arrange
+        const { element, messageHandler } = createMap();
+        messageHandler(listMessage(MOCK_BEARS));
+        element.shadowRoot.querySelector('lightning-button-icon-stateful').click();
+        await flushPromises();
+
+        // Act
+        element.shadowRoot.querySelector('lightning-map').dispatchEvent(
+            new CustomEvent('markerselect', {
+                detail: { selectedMarkerValue: undefined }
+            })
+        );
+        await flushPromises();
+
+        // Assert
+        expect(publishedMessages(BEAR_SELECTION_MESSAGE)).toHaveLength(0);
+        expect(searchBearsNear).not.toHaveBeenCalled();
+    });
+
+    it('selects and centers the marker of a bear selected elsewhere', async () => {
+        // Arrange
+        const { element, messageHandler, selectionHandler } = createMap();
+        messageHandler(listMessage(MOCK_BEARS));
+
+        // Act
+        selectionHandler({ bearId: MOCK_BEARS[1].Id, source: 'bearList' });
+        await flushPromises();
+
+        // Assert
+        const map = element.shadowRoot.querySelector('lightning-map');
+        expect(map.selectedMarkerValue).toBe(MOCK_BEARS[1].Id);
+        expect(map.center).toEqual({
+            location: { Latitude: 44.5, Longitude: -110.6 }
+        });
+    });
+
+    it('searches the cached bears when offline', async () => {
+        // Arrange
+        searchBearsNear
+            .mockResolvedValueOnce([
+                { bear: MOCK_BEARS[0], distance: 0 },
+                { bear: MOCK_BEARS[1], distance: 8.05 }
+            ])
+            .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        const { element, messageHandler } = createMap();
+        messageHandler(listMessage(MOCK_BEARS));
+        element.shadowRoot.querySelector('lightning-button-icon-stateful').click();
+        await flushPromises();
+        const selectMarker = () =>
+            element.shadowRoot.querySelector('lightning-map').dispatchEvent(
+                new CustomEvent('markerselect', {
+                    detail: { selectedMarkerValue: MOCK_BEARS[0].Id }
+                })
+            );
+        selectMarker();
+        await flushPromises();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.stale-banner')).toBeNull();
+
+        // Act
+        element.shadowRoot.querySelectorAll('lightning-input')[2].dispatchEvent(
+            new CustomEvent('change', { detail: { value: '5' } })
+        );
+        selectMarker();
+        await flushPromises();
+        await flushPromises();
+
+        // Assert
+        const map = element.shadowRoot.querySelector('lightning-map');
+        expect(map.mapMarkers.map((marker) => marker.value)).toEqual([MOCK_BEARS[0].Id]);
+        expect(element.shadowRoot.querySelector('.stale-banner')).not.toBeNull();
+        const messages = publishedMessages(BEAR_LIST_UPDATE_MESSAGE);
+        expect(typeof messages[messages.length - 1].cachedAt).toBe('number');
+    });
+
+    it('describes and styles bear markers from the message payload', async () => {
+        // Arrange
+        const { element, messageHandler } = createMap();
+
+        // Act
+        messageHandler(listMessage([
+                {
+                    ...MOCK_BEARS[0],
+                    Sex__c: 'Female',
+                    Age_In_Months__c: 150,
+                    Weight__c: 300,
+                    Supervisor__r: { Name: 'Ranger' }
+                },
+                { ...MOCK_BEARS[1], Sex__c: 'Male', Age__c: 1 }
+            ]));
+        await flushPromises();
+
+        // Assert
+        const [female, male] =
+            element.shadowRoot.querySelector('lightning-map').mapMarkers;
+        expect(female.description).toBe(
+            'Female, 12 years old, 300 Kg, Supervised by Ranger'
+        );
+        expect(female.mapIcon.fillColor).toBe('#dd7a01');
+        expect(male.description).toBe('Male, 1 year old, No supervisor');
+        expect(male.mapIcon.fillColor).toBe('#2e844a');
+        expect(male.mapIcon.path).not.toBe(female.mapIcon.path);
+    });
+
+    it('groups nearby bears and zooms into a selected group', async () => {
+        // Arrange
+        const { element, messageHandler } = createMap();
+        messageHandler(listMessage([
+                ...MOCK_BEARS,
+                {
+                    Id: 'a00000000000003AAA',
+                    Name: 'Bruno',
+                    Location__Latitude__s: 44.431,
+                    Location__Longitude__s: -110.592
+                }
+            ]));
+        await flushPromises();
+        const map = element.shadowRoot.querySelector('lightning-map');
+        expect(map.mapMarkers).toHaveLength(2);
+        const cluster = map.mapMarkers.find(
+            (marker) => marker.title === '2 bears'
+        );
+        expect(cluster.description).toBe('Bruno, Grizzly');
+
+        // Act
+        map.dispatchEvent(
+            new CustomEvent('markerselect', {
+                detail: { selectedMarkerValue: cluster.value }
+            })
+        );
+        await flushPromises();
+
+        // Assert
+        expect(map.zoomLevel).toBe(13);
+        expect(map.center).toEqual({ location: cluster.location });
+        expect(publishedMessages(BEAR_SELECTION_MESSAGE)).toHaveLength(0);
+        expect(map.mapMarkers.map((marker) => marker.value)).toEqual([
+            MOCK_BEARS[0].Id,
+            MOCK_BEARS[1].Id,
+            'a00000000000003AAA'
+        ]);
+    });
+
+    it('zooms past grouping to show a grouped bear selected elsewhere', async () => {
+        // Arrange
+        const { element, messageHandler, selectionHandler } = createMap();
+        messageHandler(listMessage([
+                MOCK_BEARS[0],
+                { ...MOCK_BEARS[1], Location__Latitude__s: 44.4281 }
+            ]));
+
+        // Act
+        selectionHandler({ bearId: MOCK_BEARS[1].Id, source: 'bearList' });
+        await flushPromises();
+
+        // Assert
+        const map = element.shadowRoot.querySelector('lightning-map');
+        expect(map.zoomLevel).toBe(16);
+        expect(map.selectedMarkerValue).toBe(MOCK_BEARS[1].Id);
+        expect(map.mapMarkers).toHaveLength(2);
+    });
+
+    it('renders a legend of the marker shapes and colors', () => {
+        // Arrange
+        const { element } = createMap();
+
+        // Assert
+        const labels = [
+            ...element.shadowRoot.querySelectorAll('.bear-map-legend-item')
+        ].map((item) => item.textContent.trim());
+        expect(labels).toEqual([
+            'Female',
+            'Male',
+            'Unknown sex',
+            'Cub (under 2)',
+            'Young (2 to 4)',
+            'Adult (5 to 19)',
+            'Senior (20+)',
+            'Unknown age',
+            'Group of nearby bears, select to zoom in',
+            'Outside of its zone',
+            'Park zone'
+        ]);
+    });
+
+    it('outlines the park zones and flags the bears outside of their zone', async () => {
+        // Arrange
+        const { element, messageHandler } = createMap();
+
+        // Act
+        getParkZones.emit([
+            {
+                Id: 'a02000000000001AAA',
+                Name: 'Hayden Valley',
+                Center__Latitude__s: 44.65,
+                Center__Longitude__s: -110.45,
+                Radius_Km__c: 12.5
+            }
+        ]);
+        messageHandler(listMessage([
+                {
+                    ...MOCK_BEARS[0],
+                    Out_Of_Zone__c: true,
+                    Zone__r: { Name: 'Hayden Valley' }
+                },
+                MOCK_BEARS[1]
+            ]));
+        await flushPromises();
+
+        // Assert
+        const [outside, inside, zone] =
+            element.shadowRoot.querySelector('lightning-map').mapMarkers;
+        expect(outside.description).toContain('Outside of Hayden Valley');
+        expect(outside.mapIcon.strokeColor).toBe('#ba0517');
+        expect(inside.description).not.toContain('Outside');
+        expect(zone).toMatchObject({
+            type: 'Circle',
+            radius: 12500,
+            value: 'zone:a02000000000001AAA',
+            location: { Latitude: 44.65, Longitude: -110.45 }
+        });
+    });
+
+    it('logs and ignores malformed BearListUpdate__c messages', async () => {
+        // Arrange
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const { element, messageHandler } = createMap();
+        messageHandler(listMessage(MOCK_BEARS));
+
+        // Act
+        messageHandler({ bears: MOCK_BEARS });
+        messageHandler({ ...listMessage(MOCK_BEARS), totalCount: -1 });
+        await flushPromises();
 
         // Assert
-        // const div = element.shadowRoot.querySelector('div');
-        expect(1).toBe(1);
+        const map = element.shadowRoot.querySelector('lightning-map');
+        expect(map.mapMarkers).toHaveLength(2);
+        expect(warn).toHaveBeenCalledTimes(2);
+        expect(warn.mock.calls[0][0]).toContain('version undefined is not supported');
+        expect(warn.mock.calls[1][0]).toContain('totalCount is not a count');
+        warn.mockRestore();
     });
-});
\ No newline at end of file
+});
@@ -1,11 +1,234 @@
 import { LightningElement, wire } from 'lwc';
-import { subscribe, unsubscribe, MessageContext } from 'lightning/messageService';
+import { publish, subscribe, unsubscribe, MessageContext } from 'lightning/messageService';
 import BEAR_LIST_UPDATE_MESSAGE from '@salesforce/messageChannel/BearListUpdate__c';
+import BEAR_SELECTION_MESSAGE from '@salesforce/messageChannel/BearSelection__c';
+/** BearController.searchBearsNear(latitude, longitude, radiusKm) Apex method */
+import searchBearsNear from '@salesforce/apex/BearController.searchBearsNear';
+/** BearController.getParkZones() Apex method */
+import getParkZones from '@salesforce/apex/BearController.getParkZones';
+import { reduceErrors } from 'c/ldsUtils';
+import { createListMessage, readBearListMessage } from 'c/bearListMessage';
+import {
+  isConnectivityError,
+  readRoster,
+  saveRoster,
+  searchRosterNear
+} from 'c/bearCache';
+
+const DEFAULT_RADIUS_KM = 10;
+// Identifies this component's BearSelection__c messages
+const SELECTION_SOURCE = 'bearMap';
+const DEFAULT_ZOOM_LEVEL = 11;
+// Nearby bears are grouped up to this zoom level and shown one by one above it
+const MAX_CLUSTER_ZOOM_LEVEL = 15;
+// Size of the grid cells grouping bears at the default zoom level,
+// halved for each level zoomed in
+const CLUSTER_CELL_DEGREES = 0.02;
+// Bear names listed in the description of a cluster marker
+const MAX_CLUSTER_NAMES = 5;
+const CLUSTER_VALUE_PREFIX = 'cluster:';
+const CLUSTER_COLOR = '#032d60';
+const ZONE_VALUE_PREFIX = 'zone:';
+const ZONE_COLOR = '#2e844a';
+// Outline of the bears, and groups of bears, located outside of their zone
+const OUT_OF_ZONE_COLOR = '#ba0517';
+
+// Marker shapes, drawn around the marker location
+const CIRCLE_PATH = 'M 0,-8 A 8,8 0 1 1 0,8 A 8,8 0 1 1 0,-8 Z';
+const SQUARE_PATH = 'M -7,-7 L 7,-7 L 7,7 L -7,7 Z';
+const TRIANGLE_PATH = 'M 0,-8 L 8,7 L -8,7 Z';
+// Marker shape of each sex, unknown sexes use the triangle
+const SEX_SHAPES = [
+  { sex: 'Female', label: 'Female', path: CIRCLE_PATH },
+  { sex: 'Male', label: 'Male', path: SQUARE_PATH },
+  { sex: undefined, label: 'Unknown sex', path: TRIANGLE_PATH }
+];
+// Marker color of each age band, bands apply below their maximum age in years
+const AGE_BANDS = [
+  { key: 'cub', label: 'Cub (under 2)', maxYears: 2, color: '#2e844a' },
+  { key: 'young', label: 'Young (2 to 4)', maxYears: 5, color: '#0176d3' },
+  { key: 'adult', label: 'Adult (5 to 19)', maxYears: 20, color: '#dd7a01' },
+  { key: 'senior', label: 'Senior (20+)', maxYears: Infinity, color: '#ba0517' },
+  { key: 'unknown', label: 'Unknown age', maxYears: undefined, color: '#706e6b' }
+];
+
+function hasValue(value) {
+  return value !== undefined && value !== null;
+}
+
+function sexShape(bear) {
+  return SEX_SHAPES.find(({ sex }) => sex === bear.sex) ||
+    SEX_SHAPES[SEX_SHAPES.length - 1];
+}
+
+function ageInYears(bear) {
+  if (hasValue(bear.ageInMonths)) {
+    return bear.ageInMonths / 12;
+  }
+  return hasValue(bear.ageYears) ? bear.ageYears : undefined;
+}
+
+function ageBand(bear) {
+  const years = ageInYears(bear);
+  if (years === undefined) {
+    return AGE_BANDS[AGE_BANDS.length - 1];
+  }
+  return AGE_BANDS.find(({ maxYears }) => years < maxYears);
+}
+
+function ageLabel(bear) {
+  const years = ageInYears(bear);
+  if (years === undefined) {
+    return 'Age unknown';
+  }
+  if (years < 1 && hasValue(bear.ageInMonths)) {
+    return bear.ageInMonths === 1
+      ? '1 month old'
+      : `${bear.ageInMonths} months old`;
+  }
+  const wholeYears = Math.floor(years);
+  return wholeYears === 1 ? '1 year old' : `${wholeYears} years old`;
+}
+
+function describeBear(bear) {
+  const details = [bear.sex || 'Unknown sex', ageLabel(bear)];
+  if (hasValue(bear.weightKg)) {
+    details.push(`${bear.weightKg} Kg`);
+  }
+  details.push(
+    bear.supervisorName
+      ? `Supervised by ${bear.supervisorName}`
+      : 'No supervisor'
+  );
+  if (hasValue(bear.distanceKm)) {
+    details.push(`${bear.distanceKm} km away`);
+  }
+  if (bear.isOutOfZone) {
+    details.push(`Outside of ${bear.zoneName || 'its zone'}`);
+  }
+  return details.join(', ');
+}
+
+function toMarker(bear) {
+  const band = ageBand(bear);
+  return {
+    location: {
+      Latitude: bear.location.latitude,
+      Longitude: bear.location.longitude
+    },
+    value: bear.id,
+    title: bear.name,
+    description: describeBear(bear),
+    mapIcon: {
+      path: sexShape(bear).path,
+      fillColor: band.color,
+      fillOpacity: 1,
+      strokeColor: bear.isOutOfZone ? OUT_OF_ZONE_COLOR : '#ffffff',
+      strokeWeight: bear.isOutOfZone ? 3 : 1,
+      scale: 1
+    }
+  };
+}
+
+function toClusterMarker(key, bears) {
+  const names = bears.map((bear) => bear.name).sort();
+  const listed = names.slice(0, MAX_CLUSTER_NAMES).join(', ');
+  const more = names.length - MAX_CLUSTER_NAMES;
+  const sum = (field) =>
+    bears.reduce((total, bear) => total + bear.location[field], 0);
+  const outOfZoneCount = bears.filter((bear) => bear.isOutOfZone).length;
+  const description = more > 0 ? `${listed} and ${more} more` : listed;
+  return {
+    location: {
+      Latitude: sum('latitude') / bears.length,
+      Longitude: sum('longitude') / bears.length
+    },
+    value: `${CLUSTER_VALUE_PREFIX}${key}`,
+    title: `${bears.length} bears`,
+    description: outOfZoneCount > 0
+      ? `${description} (${outOfZoneCount} outside of their zone)`
+      : description,
+    mapIcon: {
+      path: CIRCLE_PATH,
+      fillColor: CLUSTER_COLOR,
+      fillOpacity: 0.85,
+      strokeColor: outOfZoneCount > 0 ? OUT_OF_ZONE_COLOR : '#ffffff',
+      strokeWeight: outOfZoneCount > 0 ? 3 : 2,
+      // Larger groups get larger markers
+      scale: Math.min(1 + Math.log2(bears.length) / 2, 3)
+    }
+  };
+}
+
+// Outline of a park zone
+function toZoneMarker(zone) {
+  return {
+    location: {
+      Latitude: zone.Center__Latitude__s,
+      Longitude: zone.Center__Longitude__s
+    },
+    type: 'Circle',
+    // In meters
+    radius: zone.Radius_Km__c * 1000,
+    value: `${ZONE_VALUE_PREFIX}${zone.Id}`,
+    title: zone.Name,
+    description: `Park zone, ${zone.Radius_Km__c} km radius`,
+    strokeColor: ZONE_COLOR,
+    strokeOpacity: 0.8,
+    strokeWeight: 2,
+    fillColor: ZONE_COLOR,
+    fillOpacity: 0.1
+  };
+}
+
+// Groups the bears sharing a grid cell at the given zoom level
+function clusterBears(bears, zoomLevel) {
+  const cells = new Map();
+  const cellDegrees =
+    CLUSTER_CELL_DEGREES / 2 ** (zoomLevel - DEFAULT_ZOOM_LEVEL);
+  bears.filter((bear) => bear.location).forEach((bear) => {
+    const key = zoomLevel > MAX_CLUSTER_ZOOM_LEVEL
+      ? bear.id
+      : [
+          Math.floor(bear.location.latitude / cellDegrees),
+          Math.floor(bear.location.longitude / cellDegrees)
+        ].join('_');
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(bear);
+  });
+  return cells;
+}
+
 export default class BearMap extends LightningElement {
+  bears = [];
+  zones = [];
   mapMarkers = [];
+  zoomLevel = DEFAULT_ZOOM_LEVEL;
   subscription = null;
+  selectionSubscription = null;
+  selectedMarkerValue;
+  // "Bears near here" search state
+  isNearMode = false;
+  latitude;
+  longitude;
+  radiusKm = DEFAULT_RADIUS_KM;
+  center;
+  isSearching = false;
+  error;
+  // Time of the cached bears shown while the server cannot be reached
+  staleSince;
   @wire(MessageContext)
   messageContext;
+  @wire(getParkZones)
+  loadZones({ data }) {
+    // Zone outlines are left out when they fail to load
+    if (data) {
+      this.zones = data;
+      this.updateMarkers();
+    }
+  }
   connectedCallback() {
     // Subscribe to BearListUpdate__c message
     this.subscription = subscribe(
@@ -14,22 +237,185 @@ export default class BearMap extends LightningElement {
         (message) => {
             this.handleBearListUpdate(message);
         });
+    // Subscribe to BearSelection__c message
+    this.selectionSubscription = subscribe(
+        this.messageContext,
+        BEAR_SELECTION_MESSAGE,
+        (message) => {
+            this.handleBearSelection(message);
+        });
   }
   disconnectedCallback() {
     // Unsubscribe from BearListUpdate__c message
     unsubscribe(this.subscription);
     this.subscription = null;
+    // Unsubscribe from BearSelection__c message
+    unsubscribe(this.selectionSubscription);
+    this.selectionSubscription = null;
   }
   handleBearListUpdate(message) {
-    this.mapMarkers = message.bears.map(bear => {
-      const Latitude = bear.Location__Latitude__s;
-      const Longitude = bear.Location__Longitude__s;
-      return {
-        location: { Latitude, Longitude },
-        title: bear.Name,
-        description: `Coords: ${Latitude}, ${Longitude}`,
-        icon: 'utility:animal_and_nature'
-      };
+    if (readBearListMessage(message)) {
+      this.showBears(message);
+    }
+  }
+  showBears(message) {
+    if (message.createdBear) {
+      // A new bear is added to the bears on the map
+      if (!this.findBear(message.createdBear.id)) {
+        this.bears = [...this.bears, message.createdBear];
+        this.updateMarkers();
+      }
+      return;
+    }
+    this.bears = message.bears;
+    this.zoomLevel = DEFAULT_ZOOM_LEVEL;
+    this.updateMarkers();
+    this.staleSince = message.cachedAt;
+  }
+  handleNearModeToggle() {
+    this.isNearMode = !this.isNearMode;
+    this.error = undefined;
+  }
+  handleBearSelection(message) {
+    // Ignore our own selections
+    if (message.source === SELECTION_SOURCE) {
+      return;
+    }
+    const bear = this.findBear(message.bearId);
+    if (!bear || !bear.location) {
+      return;
+    }
+    const marker = toMarker(bear);
+    // Zoom in past grouping when the bear is part of a cluster
+    if (!this.mapMarkers.some(({ value }) => value === bear.id)) {
+      this.zoomLevel = MAX_CLUSTER_ZOOM_LEVEL + 1;
+      this.updateMarkers();
+    }
+    this.selectedMarkerValue = marker.value;
+    this.center = { location: marker.location };
+  }
+  handleMarkerSelect(event) {
+    const { selectedMarkerValue } = event.detail;
+    // lightning-map reports a selection without a value when it is cleared
+    if (
+      !selectedMarkerValue ||
+      selectedMarkerValue.startsWith(ZONE_VALUE_PREFIX)
+    ) {
+      return;
+    }
+    if (selectedMarkerValue.startsWith(CLUSTER_VALUE_PREFIX)) {
+      // Zoom into a cluster until its bears are shown one by one
+      const cluster = this.mapMarkers.find(
+        ({ value }) => value === selectedMarkerValue
+      );
+      this.center = { location: cluster.location };
+      this.zoomLevel = Math.min(this.zoomLevel + 2, MAX_CLUSTER_ZOOM_LEVEL + 1);
+      this.selectedMarkerValue = undefined;
+      this.updateMarkers();
+      return;
+    }
+    this.selectedMarkerValue = selectedMarkerValue;
+    publish(this.messageContext, BEAR_SELECTION_MESSAGE, {
+      bearId: this.selectedMarkerValue,
+      source: SELECTION_SOURCE
     });
+    // lightning-map only reports marker selections, not clicks on arbitrary
+    // points, so a selected marker becomes the center of the search
+    if (!this.isNearMode) {
+      return;
+    }
+    const bear = this.findBear(this.selectedMarkerValue);
+    if (bear) {
+      this.latitude = bear.location.latitude;
+      this.longitude = bear.location.longitude;
+      this.searchNear();
+    }
+  }
+  findBear(bearId) {
+    return this.bears.find((bear) => bear.id === bearId);
+  }
+  updateMarkers() {
+    const markers = [];
+    clusterBears(this.bears, this.zoomLevel).forEach((bears, key) => {
+      markers.push(
+        bears.length === 1 ? toMarker(bears[0]) : toClusterMarker(key, bears)
+      );
+    });
+    this.mapMarkers = [...markers, ...this.zones.map(toZoneMarker)];
+  }
+  get sexLegend() {
+    return SEX_SHAPES.map(({ label, path }) => ({ label, path }));
+  }
+  get ageLegend() {
+    return AGE_BANDS.map(({ key, label, color }) => ({
+      key,
+      label,
+      path: CIRCLE_PATH,
+      style: `fill: ${color}`
+    }));
+  }
+  get clusterLegendStyle() {
+    return `fill: ${CLUSTER_COLOR}`;
+  }
+  get outOfZoneLegendStyle() {
+    return `fill: none; stroke: ${OUT_OF_ZONE_COLOR}; stroke-width: 3`;
+  }
+  get zoneLegendStyle() {
+    return `fill: ${ZONE_COLOR}; fill-opacity: 0.1; stroke: ${ZONE_COLOR}; stroke-width: 2`;
+  }
+  handleSearchInputChange(event) {
+    this[event.target.name] = event.detail.value;
+  }
+  handleSearchNearClick() {
+    const inputs = [...this.template.querySelectorAll('lightning-input')];
+    const allValid = inputs.reduce(
+      (valid, input) => input.reportValidity() && valid,
+      true
+    );
+    if (allValid) {
+      this.searchNear();
+    }
+  }
+  async searchNear() {
+    const latitude = Number(this.latitude);
+    const longitude = Number(this.longitude);
+    const radiusKm = Number(this.radiusKm);
+    this.isSearching = true;
+    this.error = undefined;
+    let results;
+    let cachedAt;
+    try {
+      results = await searchBearsNear({ latitude, longitude, radiusKm });
+      saveRoster(results.map(({ bear }) => bear));
+    } catch (error) {
+      // Search the cached bears when the server cannot be reached
+      const roster = readRoster();
+      if (!roster || !isConnectivityError(error)) {
+        this.error = error;
+        return;
+      }
+      results = searchRosterNear(latitude, longitude, radiusKm);
+      cachedAt = roster.savedAt;
+    } finally {
+      this.isSearching = false;
+    }
+    // Attach the computed distance to each bear
+    const bears = results.map(({ bear, distance }) => ({ ...bear, distance }));
+    this.center = { location: { Latitude: latitude, Longitude: longitude } };
+    const message = createListMessage({
+      bears,
+      filters: { latitude, longitude, radiusKm },
+      totalCount: bears.length,
+      page: { offset: 0, size: bears.length, hasMore: false },
+      cachedAt
+    });
+    this.showBears(message);
+    publish(this.messageContext, BEAR_LIST_UPDATE_MESSAGE, message);
+  }
+  get isStale() {
+    return this.staleSince !== undefined && this.staleSince !== null;
+  }
+  get errors() {
+    return reduceErrors(this.error).join(', ');
   }
 }
@@ -0,0 +1,156 @@
+import { createElement } from '@lwc/engine-dom';
+import BearObservations from 'c/bearObservations';
+import { getRecord, notifyRecordUpdateAvailable } from 'lightning/uiRecordApi';
+import addObservation from '@salesforce/apex/BearController.addObservation';
+
+// Mock the imperative Apex call
+jest.mock(
+    '@salesforce/apex/BearController.addObservation',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+const RECORD_ID = 'a00000000000001AAA';
+const MOCK_BEAR = {
+    apiName: 'Bear__c',
+    fields: {
+        Observations__c: {
+            value:
+                'Legacy note\n' +
+                '2026-10-01T08:30:00Z | Jane Ranger |  | Fishing by the river\n' +
+                '2026-10-02T09:00:00Z | Joe Ranger | 44.43, -110.59 | Sleeping | deeply'
+        }
+    }
+};
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+describe('c-bear-observations', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    function createComponent() {
+        const element = createElement('c-bear-observations', {
+            is: BearObservations
+        });
+        element.recordId = RECORD_ID;
+        document.body.appendChild(element);
+        return element;
+    }
+
+    it('lists the observation history newest first', async () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        getRecord.emit(MOCK_BEAR);
+        await flushPromises();
+
+        // Assert
+        const entries = element.shadowRoot.querySelectorAll('li.observation');
+        expect(entries).toHaveLength(3);
+        expect(entries[0].textContent).toContain('Joe Ranger');
+        expect(entries[0].textContent).toContain('44.43, -110.59');
+        expect(entries[0].textContent).toContain('Sleeping | deeply');
+        expect(entries[1].textContent).toContain('Fishing by the river');
+        expect(entries[2].textContent).toBe('Legacy note');
+    });
+
+    it('shows authors whose name contains the separator', async () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        getRecord.emit({
+            apiName: 'Bear__c',
+            fields: {
+                Observations__c: {
+                    value: '2026-10-01T08:30:00Z | Jane \\| Ranger\\\\ | 44.43, -110.59 | Fishing'
+                }
+            }
+        });
+        await flushPromises();
+
+        // Assert
+        const entry = element.shadowRoot.querySelector('li.observation');
+        expect(entry.textContent).toContain('Jane | Ranger\\');
+        expect(entry.textContent).toContain('44.43, -110.59');
+        expect(entry.textContent).toContain('Fishing');
+    });
+
+    it('appends a new observation and refreshes the record', async () => {
+        // Arrange
+        addObservation.mockResolvedValue('entry');
+        const element = createComponent();
+        getRecord.emit(MOCK_BEAR);
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        const textarea = element.shadowRoot.querySelector('lightning-textarea');
+        textarea.reportValidity = jest.fn().mockReturnValue(true);
+        textarea.dispatchEvent(
+            new CustomEvent('change', { detail: { value: 'Climbing a tree' } })
+        );
+
+        // Act
+        element.shadowRoot.querySelector('lightning-button').click();
+        await flushPromises();
+
+        // Assert
+        expect(addObservation).toHaveBeenCalledWith({
+            bearId: RECORD_ID,
+            note: 'Climbing a tree',
+            latitude: null,
+            longitude: null
+        });
+        expect(notifyRecordUpdateAvailable).toHaveBeenCalledWith([
+            { recordId: RECORD_ID }
+        ]);
+        expect(toastHandler).toHaveBeenCalledTimes(1);
+    });
+
+    it('displays validation errors extracted with reduceErrors', async () => {
+        // Arrange
+        addObservation.mockRejectedValue({
+            body: { message: 'Observation text is required.' }
+        });
+        const element = createComponent();
+        getRecord.emit(MOCK_BEAR);
+        const textarea = element.shadowRoot.querySelector('lightning-textarea');
+        textarea.reportValidity = jest.fn().mockReturnValue(true);
+
+        // Act
+        element.shadowRoot.querySelector('lightning-button').click();
+        await flushPromises();
+
+        // Assert
+        const errors = element.shadowRoot.querySelector('.save-errors');
+        expect(errors.textContent).toBe('Observation text is required.');
+    });
+
+    it('does not call Apex when the note is invalid', async () => {
+        // Arrange
+        const element = createComponent();
+        const textarea = element.shadowRoot.querySelector('lightning-textarea');
+        textarea.reportValidity = jest.fn().mockReturnValue(false);
+
+        // Act
+        element.shadowRoot.querySelector('lightning-button').click();
+        await flushPromises();
+
+        // Assert
+        expect(addObservation).not.toHaveBeenCalled();
+    });
+});
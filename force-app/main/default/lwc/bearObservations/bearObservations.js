@@ -0,0 +1,128 @@
+import { LightningElement, api, wire } from 'lwc';
+import {
+  getRecord,
+  getFieldValue,
+  notifyRecordUpdateAvailable
+} from 'lightning/uiRecordApi';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { reduceErrors } from 'c/ldsUtils';
+// Import Bear object fields
+import OBSERVATIONS_FIELD from '@salesforce/schema/Bear__c.Observations__c';
+/** BearController.addObservation(bearId, note, latitude, longitude) Apex method */
+import addObservation from '@salesforce/apex/BearController.addObservation';
+
+const bearFields = [OBSERVATIONS_FIELD];
+
+// Matches BearController.OBSERVATION_SEPARATOR
+const OBSERVATION_SEPARATOR = ' | ';
+
+/**
+ * Parses one line of the observation log. Lines that were not written by
+ * BearController.addObservation are kept as plain notes. The author is
+ * escaped by BearController.formatObservation.
+ */
+function parseObservation(line, index) {
+  const parts = line.split(OBSERVATION_SEPARATOR);
+  if (parts.length < 4 || Number.isNaN(Date.parse(parts[0]))) {
+    return { key: `${index}`, note: line };
+  }
+  const [timestamp, author, coordinates, ...note] = parts;
+  return {
+    key: `${index}`,
+    timestamp,
+    author: author.replace(/\\(.)/g, '$1'),
+    coordinates,
+    note: note.join(OBSERVATION_SEPARATOR)
+  };
+}
+
+function getCurrentCoordinates() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Your browser cannot share its location.'));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve(position.coords),
+      () => reject(new Error('Your current location is not available.'))
+    );
+  });
+}
+
+export default class BearObservations extends LightningElement {
+  @api recordId; // Bear Id
+
+  note = '';
+  includeLocation = false;
+  isSaving = false;
+  errors;
+
+  @wire(getRecord, { recordId: '$recordId', fields: bearFields })
+  bear;
+
+  // Newest observation first
+  get observations() {
+    const log = getFieldValue(this.bear.data, OBSERVATIONS_FIELD) || '';
+    return log
+      .split('\n')
+      .filter((line) => line.trim())
+      .map(parseObservation)
+      .reverse();
+  }
+
+  get hasObservations() {
+    return this.observations.length > 0;
+  }
+
+  get loadErrors() {
+    return reduceErrors(this.bear.error).join(', ');
+  }
+
+  get saveErrors() {
+    return this.errors ? this.errors.join(', ') : '';
+  }
+
+  handleNoteChange(event) {
+    this.note = event.detail.value;
+  }
+
+  handleIncludeLocationChange(event) {
+    this.includeLocation = event.detail.checked;
+  }
+
+  async handleSubmit() {
+    const noteInput = this.template.querySelector('lightning-textarea');
+    if (!noteInput.reportValidity()) {
+      return;
+    }
+    this.isSaving = true;
+    this.errors = undefined;
+    try {
+      let latitude = null;
+      let longitude = null;
+      if (this.includeLocation) {
+        ({ latitude, longitude } = await getCurrentCoordinates());
+      }
+      await addObservation({
+        bearId: this.recordId,
+        note: this.note,
+        latitude,
+        longitude
+      });
+      // Refresh the observation log read through LDS
+      await notifyRecordUpdateAvailable([{ recordId: this.recordId }]);
+      this.note = '';
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: 'Observation logged',
+          message: 'The observation was added to the log.',
+          variant: 'success'
+        })
+      );
+    } catch (error) {
+      this.errors = reduceErrors(error);
+    } finally {
+      this.isSaving = false;
+    }
+  }
+}
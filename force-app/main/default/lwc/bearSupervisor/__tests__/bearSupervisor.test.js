@@ -1,5 +1,6 @@
 import { createElement } from '@lwc/engine-dom';
 import BearSupervisor from 'c/bearSupervisor';
+import { getRecord } from 'lightning/uiRecordApi';
 
 describe('c-bear-supervisor', () => {
     afterEach(() => {
@@ -22,4 +23,42 @@ describe('c-bear-supervisor', () => {
         // const div = element.shadowRoot.querySelector('div');
         expect(1).toBe(1);
     });
-});
\ No newline at end of file
+
+    it('displays the supervisor without an error panel when the bear loads', async () => {
+        // Arrange
+        const element = createElement('c-bear-supervisor', {
+            is: BearSupervisor
+        });
+        element.recordId = 'a00000000000001AAA';
+        document.body.appendChild(element);
+
+        // Act
+        getRecord.emit({
+            apiName: 'Bear__c',
+            fields: { Supervisor__c: { value: '003000000000001AAA' } }
+        });
+        await Promise.resolve();
+
+        // Assert
+        expect(element.shadowRoot.querySelector('lightning-record-form').recordId).toBe('003000000000001AAA');
+        expect(element.shadowRoot.querySelector('c-display-panel')).toBeNull();
+    });
+
+    it('displays the error when the bear fails to load', async () => {
+        // Arrange
+        const element = createElement('c-bear-supervisor', {
+            is: BearSupervisor
+        });
+        element.recordId = 'a00000000000001AAA';
+        document.body.appendChild(element);
+
+        // Act
+        getRecord.error({ message: 'Record not found' });
+        await Promise.resolve();
+
+        // Assert
+        const panel = element.shadowRoot.querySelector('c-display-panel');
+        expect(panel.errors.body).toEqual({ message: 'Record not found' });
+        expect(element.shadowRoot.querySelector('lightning-record-form')).toBeNull();
+    });
+});
@@ -1,5 +1,30 @@
 import { createElement } from '@lwc/engine-dom';
 import BearTile from 'c/bearTile';
+import { updateRecord } from 'lightning/uiRecordApi';
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// The base component stubs do not implement validation, treat every field as valid
+function mockFieldValidity(element) {
+    element.shadowRoot.querySelectorAll('.bear-tile-field').forEach((input) => {
+        input.reportValidity = jest.fn(() => true);
+        input.setCustomValidity = jest.fn();
+    });
+}
+
+const MOCK_BEAR = {
+    Id: 'a00000000000001AAA',
+    Name: 'Grizzly',
+    Sex__c: 'Female',
+    Age__c: 12,
+    Height__c: 210,
+    Weight__c: 300,
+    Birthdate__c: '2014-03-01'
+};
 
 describe('c-bear-tile', () => {
     afterEach(() => {
@@ -7,19 +32,245 @@ describe('c-bear-tile', () => {
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        window.localStorage.clear();
+        jest.clearAllMocks();
     });
 
-    it('TODO: test case generated by CLI command, please fill in test logic', () => {
-        // Arrange
+    function createTile(properties = {}) {
         const element = createElement('c-bear-tile', {
             is: BearTile
         });
+        element.bear = MOCK_BEAR;
+        Object.assign(element, properties);
+        document.body.appendChild(element);
+        return element;
+    }
+
+    it('renders the bear name and measurements', () => {
+        // Arrange
+        const element = createTile();
+
+        // Assert
+        const card = element.shadowRoot.querySelector('lightning-card');
+        expect(card.title).toBe('Grizzly');
+        const details = [...element.shadowRoot.querySelectorAll('p')].map(
+            (p) => p.textContent
+        );
+        expect(details).toEqual(['Female', '12 years old', '210 cm', '300 Kg']);
+    });
+
+    it('fires bearview with the bear id when the record button is clicked', () => {
+        // Arrange
+        const element = createTile();
+        const handler = jest.fn();
+        element.addEventListener('bearview', handler);
 
         // Act
-        document.body.appendChild(element);
+        element.shadowRoot.querySelector('lightning-button-icon').click();
+
+        // Assert
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail).toBe(MOCK_BEAR.Id);
+    });
+
+    it('fires bearselect with the bear id when the tile is clicked', () => {
+        // Arrange
+        const element = createTile();
+        const handler = jest.fn();
+        element.addEventListener('bearselect', handler);
+
+        // Act
+        element.shadowRoot.querySelector('.bear-tile-body').click();
+
+        // Assert
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail).toBe(MOCK_BEAR.Id);
+    });
+
+    it('highlights the tile when selected', () => {
+        // Arrange
+        const element = createTile({ selected: true });
+
+        // Assert
+        const card = element.shadowRoot.querySelector('lightning-card');
+        expect(card.classList).toContain('bear-tile_selected');
+    });
+
+    it('fires bearcheck with the checked state when the checkbox changes', () => {
+        // Arrange
+        const element = createTile({ selectable: true });
+        const handler = jest.fn();
+        element.addEventListener('bearcheck', handler);
+
+        // Act
+        const checkbox = element.shadowRoot.querySelector('.bear-tile-checkbox');
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new CustomEvent('change'));
+
+        // Assert
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail).toEqual({
+            bearId: MOCK_BEAR.Id,
+            checked: true
+        });
+    });
+
+    it('saves the edited fields and fires bearupdated', async () => {
+        // Arrange
+        updateRecord.mockResolvedValue({});
+        const element = createTile();
+        const handler = jest.fn();
+        element.addEventListener('bearupdated', handler);
+
+        // Act
+        element.shadowRoot.querySelector('lightning-button-icon.bear-tile-edit').click();
+        await flushPromises();
+        mockFieldValidity(element);
+        const weightInput = element.shadowRoot.querySelector('[data-field="Weight__c"]');
+        weightInput.dispatchEvent(new CustomEvent('change', { detail: { value: 320 } }));
+        element.shadowRoot.querySelector('lightning-button.bear-tile-save').click();
+        await flushPromises();
+
+        // Assert
+        expect(updateRecord).toHaveBeenCalledWith({
+            fields: {
+                Id: MOCK_BEAR.Id,
+                Sex__c: 'Female',
+                Birthdate__c: '2014-03-01',
+                Height__c: 210,
+                Weight__c: 320
+            }
+        });
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail).toBe(MOCK_BEAR.Id);
+        expect(element.shadowRoot.querySelector('.bear-tile-form')).toBeNull();
+    });
+
+    it('shows field errors inline when the save fails', async () => {
+        // Arrange
+        updateRecord.mockRejectedValue({
+            body: {
+                message: 'An error occurred while trying to update the record.',
+                output: {
+                    errors: [],
+                    fieldErrors: {
+                        Weight__c: [{ message: 'Weight must be positive' }]
+                    }
+                }
+            }
+        });
+        const element = createTile();
+        const handler = jest.fn();
+        element.addEventListener('bearupdated', handler);
+
+        // Act
+        element.shadowRoot.querySelector('lightning-button-icon.bear-tile-edit').click();
+        await flushPromises();
+        mockFieldValidity(element);
+        const weightInput = element.shadowRoot.querySelector('[data-field="Weight__c"]');
+        const heightInput = element.shadowRoot.querySelector('[data-field="Height__c"]');
+        element.shadowRoot.querySelector('lightning-button.bear-tile-save').click();
+        await flushPromises();
+
+        // Assert
+        expect(weightInput.setCustomValidity).toHaveBeenCalledWith('Weight must be positive');
+        expect(heightInput.setCustomValidity).toHaveBeenCalledWith('');
+        expect(element.shadowRoot.querySelector('.bear-tile-error')).toBeNull();
+        expect(element.shadowRoot.querySelector('.bear-tile-form')).not.toBeNull();
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('shows the age in years and months when it is known', () => {
+        // Arrange
+        const element = createTile({
+            bear: { ...MOCK_BEAR, Age_In_Months__c: 147 }
+        });
+
+        // Assert
+        const details = [...element.shadowRoot.querySelectorAll('p')].map(
+            (p) => p.textContent
+        );
+        expect(details).toContain('12 years 3 months old');
+    });
+
+    it('shows the age of a cub in months', () => {
+        // Arrange
+        const element = createTile({
+            bear: { ...MOCK_BEAR, Age_In_Months__c: 1 }
+        });
+
+        // Assert
+        const details = [...element.shadowRoot.querySelectorAll('p')].map(
+            (p) => p.textContent
+        );
+        expect(details).toContain('1 month old');
+    });
+
+    it('flags a birthdate in the future instead of a negative age', () => {
+        // Arrange
+        const element = createTile({
+            bear: { ...MOCK_BEAR, Birthdate__c: '2099-01-01', Age_In_Months__c: -5 }
+        });
+
+        // Assert
+        const details = [...element.shadowRoot.querySelectorAll('p')].map(
+            (p) => p.textContent
+        );
+        expect(details).toContain('Birthdate in the future');
+        expect(details.some((detail) => detail.endsWith(' old'))).toBe(false);
+    });
+
+    it('queues the edit when the connection is down', async () => {
+        // Arrange
+        updateRecord.mockRejectedValue(new TypeError('Failed to fetch'));
+        const element = createTile();
+        const handler = jest.fn();
+        element.addEventListener('bearupdated', handler);
+
+        // Act
+        element.shadowRoot.querySelector('lightning-button-icon.bear-tile-edit').click();
+        await flushPromises();
+        mockFieldValidity(element);
+        element.shadowRoot
+            .querySelector('[data-field="Weight__c"]')
+            .dispatchEvent(new CustomEvent('change', { detail: { value: 320 } }));
+        element.shadowRoot.querySelector('lightning-button.bear-tile-save').click();
+        await flushPromises();
+
+        // Assert
+        const edits = JSON.parse(window.localStorage.getItem('bearCache.edits'));
+        expect(edits).toHaveLength(1);
+        expect(edits[0]).toMatchObject({ Id: MOCK_BEAR.Id, Weight__c: 320 });
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(element.shadowRoot.querySelector('.bear-tile-form')).toBeNull();
+    });
+
+    it('shows an error without a body instead of queuing the edit', async () => {
+        // Arrange
+        updateRecord.mockRejectedValue(new TypeError("Cannot read properties of undefined (reading 'Id')"));
+        const element = createTile();
+        const handler = jest.fn();
+        element.addEventListener('bearupdated', handler);
+
+        // Act
+        element.shadowRoot.querySelector('lightning-button-icon.bear-tile-edit').click();
+        await flushPromises();
+        mockFieldValidity(element);
+        element.shadowRoot.querySelector('lightning-button.bear-tile-save').click();
+        await flushPromises();
+
+        // Assert
+        expect(window.localStorage.getItem('bearCache.edits')).toBeNull();
+        expect(handler).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.bear-tile-error')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.bear-tile-form')).not.toBeNull();
+    });
+
+    it('shows a badge while an edit waits to be saved', () => {
+        // Arrange
+        const element = createTile({ pendingSync: true });
 
         // Assert
-        // const div = element.shadowRoot.querySelector('div');
-        expect(1).toBe(1);
+        expect(element.shadowRoot.querySelector('lightning-badge.pending-sync')).not.toBeNull();
     });
-});
\ No newline at end of file
+});
@@ -1,18 +1,192 @@
-import { LightningElement, api } from 'lwc';
+import { LightningElement, api, wire } from 'lwc';
+import { updateRecord } from 'lightning/uiRecordApi';
+import { getObjectInfo, getPicklistValues } from 'lightning/uiObjectInfoApi';
+import { reduceErrors } from 'c/ldsUtils';
+import { isConnectivityError, queueEdit } from 'c/bearCache';
 import ursusResources from '@salesforce/resourceUrl/ursus_park';
+import BEAR_OBJECT from '@salesforce/schema/Bear__c';
+import ID_FIELD from '@salesforce/schema/Bear__c.Id';
+import SEX_FIELD from '@salesforce/schema/Bear__c.Sex__c';
+import BIRTHDATE_FIELD from '@salesforce/schema/Bear__c.Birthdate__c';
+import HEIGHT_FIELD from '@salesforce/schema/Bear__c.Height__c';
+import WEIGHT_FIELD from '@salesforce/schema/Bear__c.Weight__c';
+
+// Fields that can be edited from the tile. Age__c is a formula calculated
+// from Birthdate__c so the age is changed through the birthdate.
+const EDITABLE_FIELDS = [
+	SEX_FIELD.fieldApiName,
+	BIRTHDATE_FIELD.fieldApiName,
+	HEIGHT_FIELD.fieldApiName,
+	WEIGHT_FIELD.fieldApiName
+];
 
 export default class BearTile extends LightningElement {
 	@api bear;
+	@api selected = false;
+	// Shows a checkbox to include the bear in a bulk action
+	@api selectable = false;
+	@api checked = false;
+	// The bear has an edit waiting for the connection to come back
+	@api pendingSync = false;
+
+	isEditing = false;
+	isSaving = false;
+	draft = {};
+	saveError;
 
 	appResources = {
 		bearSilhouette: `${ursusResources}/standing-bear-silhouette.png`
 	};
 
+	@wire(getObjectInfo, { objectApiName: BEAR_OBJECT })
+	objectInfo;
+
+	@wire(getPicklistValues, {
+		recordTypeId: '$objectInfo.data.defaultRecordTypeId',
+		fieldApiName: SEX_FIELD
+	})
+	sexPicklist;
+
+	get sexOptions() {
+		const values = this.sexPicklist?.data?.values || [];
+		return values.map(({ label, value }) => ({ label, value }));
+	}
+
+	get saveErrors() {
+		return reduceErrors(this.saveError).join(', ');
+	}
+
+	handleEditClick() {
+		this.draft = {};
+		EDITABLE_FIELDS.forEach((fieldName) => {
+			this.draft[fieldName] = this.bear[fieldName];
+		});
+		this.saveError = undefined;
+		this.isEditing = true;
+	}
+
+	handleCancelClick() {
+		this.isEditing = false;
+		this.saveError = undefined;
+	}
+
+	handleFieldChange(event) {
+		const input = event.target;
+		// Clear the server error of the field once it is edited
+		input.setCustomValidity('');
+		input.reportValidity();
+		this.draft = {
+			...this.draft,
+			[input.dataset.field]: event.detail.value
+		};
+	}
+
+	async handleSaveClick() {
+		const inputs = [...this.template.querySelectorAll('.bear-tile-field')];
+		const allValid = inputs.reduce(
+			(valid, input) => input.reportValidity() && valid,
+			true
+		);
+		if (!allValid) {
+			return;
+		}
+		this.isSaving = true;
+		this.saveError = undefined;
+		const fields = { [ID_FIELD.fieldApiName]: this.bear.Id, ...this.draft };
+		try {
+			await updateRecord({ fields });
+			this.notifyUpdated();
+		} catch (error) {
+			if (isConnectivityError(error)) {
+				// Saved once the connection is back
+				queueEdit(fields);
+				this.notifyUpdated();
+			} else {
+				this.showFieldErrors(inputs, error);
+			}
+		} finally {
+			this.isSaving = false;
+		}
+	}
+
+	notifyUpdated() {
+		this.isEditing = false;
+		this.dispatchEvent(
+			new CustomEvent('bearupdated', {
+				detail: this.bear.Id
+			})
+		);
+	}
+
+	// Reports field errors on their inputs and keeps the other errors for
+	// display under the form.
+	showFieldErrors(inputs, error) {
+		const fieldErrors = error?.body?.output?.fieldErrors || {};
+		inputs.forEach((input) => {
+			const messages = (fieldErrors[input.dataset.field] || []).map(
+				(fieldError) => fieldError.message
+			);
+			input.setCustomValidity(messages.join(', '));
+			input.reportValidity();
+		});
+		const hasFieldErrors = Object.keys(fieldErrors).length > 0;
+		const hasOtherErrors = error?.body?.output?.errors?.length > 0;
+		if (!hasFieldErrors || hasOtherErrors) {
+			this.saveError = hasFieldErrors ? error.body.output.errors : error;
+		}
+	}
+
 	handleOpenRecordClick() {
 		const selectEvent = new CustomEvent('bearview', {
 			detail: this.bear.Id
 		});
 		this.dispatchEvent(selectEvent);
 	}
+
+	handleTileClick() {
+		const selectEvent = new CustomEvent('bearselect', {
+			detail: this.bear.Id
+		});
+		this.dispatchEvent(selectEvent);
+	}
+
+	handleCheckChange(event) {
+		const checkEvent = new CustomEvent('bearcheck', {
+			detail: {
+				bearId: this.bear.Id,
+				checked: event.target.checked
+			}
+		});
+		this.dispatchEvent(checkEvent);
+	}
+
+	// Years and months from Age_In_Months__c, falling back to the age in
+	// years for bears that were not loaded from BearController
+	get ageLabel() {
+		const ageInMonths = this.bear.Age_In_Months__c;
+		if (ageInMonths === undefined || ageInMonths === null) {
+			return this.bear.Age__c === undefined || this.bear.Age__c === null
+				? 'Age unknown'
+				: `${this.bear.Age__c} years old`;
+		}
+		// Flagged by BearController.getAgeDataQualityIssues
+		if (ageInMonths < 0) {
+			return 'Birthdate in the future';
+		}
+		const years = Math.floor(ageInMonths / 12);
+		const months = ageInMonths % 12;
+		const parts = [];
+		if (years > 0) {
+			parts.push(years === 1 ? '1 year' : `${years} years`);
+		}
+		if (months > 0 || years === 0) {
+			parts.push(months === 1 ? '1 month' : `${months} months`);
+		}
+		return `${parts.join(' ')} old`;
+	}
+
+	get tileClass() {
+		return this.selected ? 'bear-tile bear-tile_selected' : 'bear-tile';
+	}
 }
 
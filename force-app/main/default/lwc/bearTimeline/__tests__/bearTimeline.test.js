@@ -0,0 +1,198 @@
+import { createElement } from '@lwc/engine-dom';
+import BearTimeline from 'c/bearTimeline';
+import { getRecord } from 'lightning/uiRecordApi';
+import { refreshApex } from '@salesforce/apex';
+import getBearChanges from '@salesforce/apex/BearController.getBearChanges';
+
+// Mock the Apex wire adapter
+jest.mock(
+    '@salesforce/apex/BearController.getBearChanges',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+// Mock refreshApex
+jest.mock(
+    '@salesforce/apex',
+    () => {
+        return {
+            refreshApex: jest.fn(() => Promise.resolve())
+        };
+    },
+    { virtual: true }
+);
+
+const RECORD_ID = 'a00000000000001AAA';
+const RANGER_ID = '005000000000001AAA';
+const WARDEN_ID = '005000000000002AAA';
+
+const MOCK_CHANGES = [
+    {
+        Id: 'a03000000000003AAA',
+        Field__c: 'Weight__c',
+        Field_Label__c: 'Weight (Kg)',
+        Old_Value__c: '300',
+        New_Value__c: '310',
+        CreatedDate: '2026-10-03T08:00:00.000Z',
+        CreatedById: WARDEN_ID,
+        CreatedBy: { Name: 'Warden' }
+    },
+    {
+        Id: 'a03000000000002AAA',
+        Field__c: 'Supervisor__c',
+        Field_Label__c: 'Supervisor',
+        Old_Value__c: 'Ranger',
+        New_Value__c: 'Apprentice',
+        CreatedDate: '2026-10-02T08:00:00.000Z',
+        CreatedById: RANGER_ID,
+        CreatedBy: { Name: 'Ranger' }
+    },
+    {
+        Id: 'a03000000000001AAA',
+        Field__c: 'Weight__c',
+        Field_Label__c: 'Weight (Kg)',
+        Old_Value__c: null,
+        New_Value__c: '300',
+        CreatedDate: '2026-10-01T08:00:00.000Z',
+        CreatedById: RANGER_ID,
+        CreatedBy: { Name: 'Ranger' }
+    }
+];
+
+function mockBear(lastModifiedDate) {
+    return {
+        apiName: 'Bear__c',
+        fields: {
+            LastModifiedDate: { value: lastModifiedDate }
+        }
+    };
+}
+
+describe('c-bear-timeline', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    function createComponent() {
+        const element = createElement('c-bear-timeline', {
+            is: BearTimeline
+        });
+        element.recordId = RECORD_ID;
+        document.body.appendChild(element);
+        return element;
+    }
+
+    function changeTexts(element) {
+        return [...element.shadowRoot.querySelectorAll('.bear-change')].map(
+            (change) => change.querySelectorAll('p')[1].textContent.trim()
+        );
+    }
+
+    it('lists the changes of the bear record', () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        getBearChanges.emit(MOCK_CHANGES);
+
+        // Assert
+        return Promise.resolve().then(() => {
+            expect(getBearChanges.getLastConfig()).toEqual({ bearId: RECORD_ID });
+            const texts = changeTexts(element);
+            expect(texts).toHaveLength(3);
+            expect(texts[0]).toContain('Weight (Kg)');
+            expect(texts[0]).toContain('changed from 300 to 310');
+            expect(texts[2]).toContain('changed from blank to 300');
+        });
+    });
+
+    it('filters the changes by field and user', () => {
+        // Arrange
+        const element = createComponent();
+        getBearChanges.emit(MOCK_CHANGES);
+
+        return Promise.resolve()
+            .then(() => {
+                const fieldFilter = element.shadowRoot.querySelector('.field-filter');
+                expect(fieldFilter.options.map((option) => option.label)).toEqual([
+                    'All fields',
+                    'Supervisor',
+                    'Weight (Kg)'
+                ]);
+
+                // Act
+                fieldFilter.dispatchEvent(
+                    new CustomEvent('change', { detail: { value: 'Weight__c' } })
+                );
+            })
+            .then(() => {
+                // Assert
+                expect(changeTexts(element)).toHaveLength(2);
+
+                // Act
+                element.shadowRoot
+                    .querySelector('.user-filter')
+                    .dispatchEvent(
+                        new CustomEvent('change', { detail: { value: RANGER_ID } })
+                    );
+            })
+            .then(() => {
+                // Assert
+                const texts = changeTexts(element);
+                expect(texts).toHaveLength(1);
+                expect(texts[0]).toContain('changed from blank to 300');
+            });
+    });
+
+    it('tells when no changes were recorded', () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        getBearChanges.emit([]);
+
+        // Assert
+        return Promise.resolve().then(() => {
+            expect(element.shadowRoot.querySelector('.field-filter')).toBeNull();
+            expect(element.shadowRoot.textContent).toContain('No changes recorded yet');
+        });
+    });
+
+    it('reloads the changes when the bear is modified', () => {
+        // Arrange
+        createComponent();
+        getBearChanges.emit(MOCK_CHANGES);
+        getRecord.emit(mockBear('2026-10-03T08:00:00.000Z'));
+
+        // Act
+        getRecord.emit(mockBear('2026-10-04T08:00:00.000Z'));
+
+        // Assert
+        return Promise.resolve().then(() => {
+            expect(refreshApex).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    it('displays the error when the changes fail to load', () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        getBearChanges.error({ message: 'Insufficient access rights' });
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const error = element.shadowRoot.querySelector('.slds-text-color_error');
+            expect(error.textContent).toContain('Insufficient access rights');
+        });
+    });
+});
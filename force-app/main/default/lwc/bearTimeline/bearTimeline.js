@@ -0,0 +1,117 @@
+import { LightningElement, api, wire } from 'lwc';
+import { getRecord, getFieldValue } from 'lightning/uiRecordApi';
+import { refreshApex } from '@salesforce/apex';
+import { reduceErrors } from 'c/ldsUtils';
+/** BearController.getBearChanges(bearId) Apex method */
+import getBearChanges from '@salesforce/apex/BearController.getBearChanges';
+
+const LAST_MODIFIED_DATE_FIELD = 'Bear__c.LastModifiedDate';
+
+const bearFields = [LAST_MODIFIED_DATE_FIELD];
+
+const ALL = '';
+
+// Combobox options for the distinct values of a change property
+function toOptions(changes, valueOf, labelOf, allLabel) {
+  const labels = new Map();
+  changes.forEach((change) => labels.set(valueOf(change), labelOf(change)));
+  const options = [...labels.entries()]
+    .map(([value, label]) => ({ value, label }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+  return [{ value: ALL, label: allLabel }, ...options];
+}
+
+export default class BearTimeline extends LightningElement {
+  @api recordId; // Bear Id
+
+  fieldFilter = ALL;
+  userFilter = ALL;
+  changesResult;
+  lastModifiedDate;
+
+  @wire(getRecord, { recordId: '$recordId', fields: bearFields })
+  loadBear({ data }) {
+    if (data) {
+      const lastModifiedDate = getFieldValue(data, LAST_MODIFIED_DATE_FIELD);
+      const wasModified =
+        this.lastModifiedDate !== undefined &&
+        lastModifiedDate !== this.lastModifiedDate;
+      this.lastModifiedDate = lastModifiedDate;
+      // The update may have recorded changes, reload them
+      if (wasModified && this.changesResult) {
+        refreshApex(this.changesResult);
+      }
+    }
+  }
+
+  @wire(getBearChanges, { bearId: '$recordId' })
+  loadChanges(result) {
+    this.changesResult = result;
+  }
+
+  get changes() {
+    return this.changesResult?.data || [];
+  }
+
+  get fieldOptions() {
+    return toOptions(
+      this.changes,
+      (change) => change.Field__c,
+      (change) => change.Field_Label__c || change.Field__c,
+      'All fields'
+    );
+  }
+
+  get userOptions() {
+    return toOptions(
+      this.changes,
+      (change) => change.CreatedById,
+      (change) => change.CreatedBy.Name,
+      'All users'
+    );
+  }
+
+  // Most recent change first
+  get filteredChanges() {
+    return this.changes
+      .filter(
+        (change) =>
+          (this.fieldFilter === ALL || change.Field__c === this.fieldFilter) &&
+          (this.userFilter === ALL || change.CreatedById === this.userFilter)
+      )
+      .map((change) => ({
+        ...change,
+        label: change.Field_Label__c || change.Field__c,
+        oldValue: change.Old_Value__c ?? 'blank',
+        newValue: change.New_Value__c ?? 'blank'
+      }));
+  }
+
+  get isLoaded() {
+    return this.changesResult?.data !== undefined;
+  }
+
+  get loadError() {
+    return this.changesResult?.error;
+  }
+
+  get hasChanges() {
+    return this.changes.length > 0;
+  }
+
+  get hasFilteredChanges() {
+    return this.filteredChanges.length > 0;
+  }
+
+  get errors() {
+    return reduceErrors(this.loadError).join(', ');
+  }
+
+  handleFieldFilterChange(event) {
+    this.fieldFilter = event.detail.value;
+  }
+
+  handleUserFilterChange(event) {
+    this.userFilter = event.detail.value;
+  }
+}
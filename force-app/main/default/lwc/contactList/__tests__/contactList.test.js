@@ -1,5 +1,53 @@
 import { createElement } from 'lwc';
 import ContactList from 'c/contactList';
+import getContactPage from '@salesforce/apex/ContactController.getContactPage';
+import { refreshApex } from '@salesforce/apex';
+
+// Mock the Apex wire adapter
+jest.mock(
+    '@salesforce/apex/ContactController.getContactPage',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock('@salesforce/apex', () => ({ refreshApex: jest.fn(() => Promise.resolve()) }), {
+    virtual: true
+});
+
+const FIRST_PAGE = {
+    records: [
+        { Id: '003000000000001AAA', FirstName: 'Lisa', LastName: 'Jones', Email: 'ljones@example.com' },
+        { Id: '003000000000002AAA', FirstName: 'John', LastName: 'Doe', Email: 'jdoe@example.com' }
+    ],
+    totalCount: 3,
+    pageOffset: 0,
+    nextOffset: 2
+};
+const LAST_PAGE = {
+    records: [{ Id: '003000000000003AAA', FirstName: 'Jane', LastName: 'Doe', Email: 'jane@example.com' }],
+    totalCount: 3,
+    pageOffset: 2,
+    nextOffset: null
+};
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function createContactList() {
+    const element = createElement('c-contact-list', {
+        is: ContactList
+    });
+    document.body.appendChild(element);
+    return element;
+}
 
 describe('c-contact-list', () => {
     afterEach(() => {
@@ -7,6 +55,8 @@ describe('c-contact-list', () => {
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        jest.clearAllMocks();
+        jest.useRealTimers();
     });
 
     it('renders lightning-card with title', () => {
@@ -49,10 +99,187 @@ describe('c-contact-list', () => {
         // Act
         document.body.appendChild(element);
 
-        // Assert - datatable should be in DOM (even if no data yet)
+        // Assert - the datatable shows its spinner until the first page loads
+        const datatable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(datatable).not.toBeNull();
+        expect(datatable.isLoading).toBe(true);
+    });
+
+    it('retries a transient load failure with backoff', async () => {
+        jest.useFakeTimers();
+        // Arrange
+        const element = createElement('c-contact-list', {
+            is: ContactList
+        });
+        document.body.appendChild(element);
+
+        // Act
+        getContactPage.error({ message: 'Service unavailable' }, 503, 'Service Unavailable');
+        await Promise.resolve();
+
+        // Assert
+        const panel = element.shadowRoot.querySelector('c-display-panel');
+        expect(panel.notes).toBe('An error occurred while loading the contacts, retrying...');
+        expect(refreshApex).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1000);
+        expect(refreshApex).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not retry a permanent load failure', async () => {
+        jest.useFakeTimers();
+        // Arrange
+        const element = createElement('c-contact-list', {
+            is: ContactList
+        });
+        document.body.appendChild(element);
+
+        // Act
+        getContactPage.error({ message: 'Insufficient access rights' }, 403, 'Forbidden');
+        await Promise.resolve();
+        jest.advanceTimersByTime(30000);
+
+        // Assert
+        const panel = element.shadowRoot.querySelector('c-display-panel');
+        expect(panel.notes).toBe('An error occurred while loading the contacts');
+        expect(panel.retryable).toBe(true);
+        expect(refreshApex).not.toHaveBeenCalled();
+    });
+
+    it('refreshes the contacts on demand', () => {
+        // Arrange
+        const element = createElement('c-contact-list', {
+            is: ContactList
+        });
+        document.body.appendChild(element);
+        getContactPage.emit(FIRST_PAGE);
+
+        // Act
+        element.shadowRoot.querySelector('lightning-button.refresh').click();
+
+        // Assert
+        expect(refreshApex).toHaveBeenCalledTimes(1);
+    });
+
+    it('loads the next page of contacts when scrolled to the end', async () => {
+        // Arrange
+        const element = createContactList();
+        getContactPage.emit(FIRST_PAGE);
+        await flushPromises();
+        const datatable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(datatable.keyField).toBe('Id');
+        expect(datatable.data).toHaveLength(2);
+        expect(datatable.enableInfiniteLoading).toBe(true);
+
+        // Act
+        datatable.dispatchEvent(new CustomEvent('loadmore'));
+        await flushPromises();
+
+        // Assert
+        expect(getContactPage.getLastConfig().pageOffset).toBe(2);
+        expect(datatable.isLoading).toBe(true);
+        getContactPage.emit(LAST_PAGE);
+        await flushPromises();
+        expect(datatable.data.map((contact) => contact.Id)).toEqual([
+            '003000000000001AAA',
+            '003000000000002AAA',
+            '003000000000003AAA'
+        ]);
+        expect(datatable.enableInfiniteLoading).toBe(false);
+        expect(element.shadowRoot.querySelector('.result-summary').textContent).toBe('Showing 3 of 3 contacts');
+    });
+
+    it('reloads from the first page sorted on the chosen column', async () => {
+        // Arrange
+        const element = createContactList();
+        getContactPage.emit(FIRST_PAGE);
+        await flushPromises();
         const datatable = element.shadowRoot.querySelector('lightning-datatable');
-        // Datatable only renders when there's contact data
-        // So we just verify the component structure is correct
-        expect(element.shadowRoot.querySelector('lightning-card')).not.toBeNull();
+        datatable.dispatchEvent(new CustomEvent('loadmore'));
+        await flushPromises();
+
+        // Act
+        datatable.dispatchEvent(
+            new CustomEvent('sort', {
+                detail: { fieldName: 'Email', sortDirection: 'desc' }
+            })
+        );
+        await flushPromises();
+
+        // Assert
+        expect(getContactPage.getLastConfig()).toEqual(
+            expect.objectContaining({ sortBy: 'Email', sortDirection: 'desc', pageOffset: 0 })
+        );
+        expect(datatable.sortedBy).toBe('Email');
+        expect(datatable.sortedDirection).toBe('desc');
+        expect(datatable.data).toEqual([]);
+    });
+
+    it('searches the contacts after the search debounce', async () => {
+        jest.useFakeTimers();
+        // Arrange
+        const element = createContactList();
+        await Promise.resolve();
+        const search = element.shadowRoot.querySelector('lightning-input.search');
+
+        // Act
+        search.value = 'jones';
+        search.dispatchEvent(new CustomEvent('change'));
+        jest.advanceTimersByTime(299);
+        await Promise.resolve();
+        expect(getContactPage.getLastConfig().searchTerm).toBe('');
+        jest.advanceTimersByTime(1);
+        await Promise.resolve();
+
+        // Assert
+        expect(getContactPage.getLastConfig()).toEqual(
+            expect.objectContaining({ searchTerm: 'jones', pageOffset: 0 })
+        );
+    });
+
+    it('keeps the contacts when the search term ends up unchanged', async () => {
+        jest.useFakeTimers();
+        // Arrange
+        const element = createContactList();
+        getContactPage.emit(FIRST_PAGE);
+        await Promise.resolve();
+        const search = element.shadowRoot.querySelector('lightning-input.search');
+
+        // Act
+        search.value = 'j';
+        search.dispatchEvent(new CustomEvent('change'));
+        search.value = '';
+        search.dispatchEvent(new CustomEvent('change'));
+        jest.advanceTimersByTime(300);
+        await Promise.resolve();
+
+        // Assert
+        const datatable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(datatable.data).toEqual(FIRST_PAGE.records);
+        expect(datatable.isLoading).toBe(false);
+    });
+
+    it('fires a selectedrows event with the selected contacts', async () => {
+        // Arrange
+        const element = createContactList();
+        getContactPage.emit(FIRST_PAGE);
+        await flushPromises();
+        const handler = jest.fn();
+        element.addEventListener('selectedrows', handler);
+
+        // Act
+        element.shadowRoot.querySelector('lightning-datatable').dispatchEvent(
+            new CustomEvent('rowselection', {
+                detail: { selectedRows: [FIRST_PAGE.records[1]] }
+            })
+        );
+        await flushPromises();
+
+        // Assert
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail).toEqual({
+            contactIds: ['003000000000002AAA'],
+            contacts: [FIRST_PAGE.records[1]]
+        });
+        expect(element.shadowRoot.querySelector('lightning-datatable').selectedRows).toEqual(['003000000000002AAA']);
     });
-});
\ No newline at end of file
+});
@@ -1,10 +1,10 @@
 import { createElement } from 'lwc';
 import ContactList from 'c/contactList';
-import getContacts from '@salesforce/apex/ContactController.getContacts';
+import getContactPage from '@salesforce/apex/ContactController.getContactPage';
 
 // Mock the Apex wire adapter
 jest.mock(
-    '@salesforce/apex/ContactController.getContacts',
+    '@salesforce/apex/ContactController.getContactPage',
     () => {
         const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
         return {
@@ -14,138 +14,107 @@ jest.mock(
     { virtual: true }
 );
 
+jest.mock('@salesforce/apex', () => ({ refreshApex: jest.fn(() => Promise.resolve()) }), {
+    virtual: true
+});
+
+const MOCK_CONTACTS = [
+    {
+        Id: '003000000000000AAA',
+        FirstName: 'Lisa',
+        LastName: 'Jones',
+        Email: 'ljones@developer.com'
+    },
+    {
+        Id: '003000000000000BBB',
+        FirstName: 'John',
+        LastName: 'Doe',
+        Email: 'jdoe@example.com'
+    }
+];
+const MOCK_PAGE = {
+    records: MOCK_CONTACTS,
+    totalCount: 2,
+    pageOffset: 0,
+    nextOffset: null
+};
+// Permanent error, so that no retry is scheduled
+const MOCK_ERROR_STATUS = 403;
+
 describe('c-contact-list - Wire Service Tests', () => {
     afterEach(() => {
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        jest.clearAllMocks();
     });
 
-    it('displays contacts when Apex wire adapter returns data', () => {
-        // Arrange
-        const MOCK_CONTACTS = [
-            { 
-                Id: '003000000000000AAA', 
-                FirstName: 'Lisa', 
-                LastName: 'Jones', 
-                Email: 'ljones@developer.com' 
-            },
-            { 
-                Id: '003000000000000BBB', 
-                FirstName: 'John', 
-                LastName: 'Doe', 
-                Email: 'jdoe@example.com' 
-            }
-        ];
-
+    function createContactList() {
         const element = createElement('c-contact-list', {
             is: ContactList
         });
         document.body.appendChild(element);
+        return element;
+    }
 
-        // Act - Emit data using Apex wire adapter
-        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
-        const getContactsAdapter = createApexTestWireAdapter(jest.fn());
-        getContactsAdapter.emit(MOCK_CONTACTS);
-
-        // Wait for DOM updates
-        return Promise.resolve().then(() => {
-            // Assert
-            expect(element.contacts).toEqual(MOCK_CONTACTS);
-            expect(element.contacts).toHaveLength(2);
-            
-            const datatable = element.shadowRoot.querySelector('lightning-datatable');
-            expect(datatable).not.toBeNull();
-            expect(datatable.data).toEqual(MOCK_CONTACTS);
-        });
+    it('displays contacts when Apex wire adapter returns data', async () => {
+        // Arrange
+        const element = createContactList();
+
+        // Act - Emit data using the mocked Apex wire adapter
+        getContactPage.emit(MOCK_PAGE);
+        await Promise.resolve();
+
+        // Assert
+        const datatable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(datatable).not.toBeNull();
+        expect(datatable.data).toEqual(MOCK_CONTACTS);
+        expect(element.shadowRoot.querySelector('.result-summary').textContent).toBe(
+            'Showing 2 of 2 contacts'
+        );
     });
 
-    it('displays error message when Apex wire adapter fails', () => {
+    it('displays error message when Apex wire adapter fails', async () => {
         // Arrange
-        const MOCK_ERROR = {
-            body: {
-                message: 'This is a forced error for testing purposes.'
-            }
-        };
-
-        const element = createElement('c-contact-list', {
-            is: ContactList
-        });
-        document.body.appendChild(element);
-
-        // Act - Emit error using Apex wire adapter
-        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
-        const getContactsAdapter = createApexTestWireAdapter(jest.fn());
-        getContactsAdapter.error(MOCK_ERROR);
-
-        // Wait for DOM updates
-        return Promise.resolve().then(() => {
-            // Assert
-            expect(element.error).toBeTruthy();
-            expect(element.errors).toContain('This is a forced error for testing purposes.');
-            
-            const errorElement = element.shadowRoot.querySelector('.slds-text-color_error');
-            expect(errorElement).not.toBeNull();
-            expect(errorElement.textContent).toContain('This is a forced error for testing purposes.');
-        });
+        const element = createContactList();
+
+        // Act - Emit an error using the mocked Apex wire adapter
+        getContactPage.error(
+            { message: 'This is a forced error for testing purposes.' },
+            MOCK_ERROR_STATUS
+        );
+        await Promise.resolve();
+
+        // Assert
+        const panel = element.shadowRoot.querySelector('c-display-panel');
+        expect(panel).not.toBeNull();
+        expect(panel.errors.body.message).toBe('This is a forced error for testing purposes.');
+        expect(panel.notes).toBe('An error occurred while loading the contacts');
+        expect(element.shadowRoot.querySelector('lightning-datatable')).toBeNull();
     });
 
-    it('clears error when data is successfully loaded', () => {
+    it('clears error when data is successfully loaded', async () => {
         // Arrange
-        const MOCK_ERROR = {
-            body: { message: 'Initial error' }
-        };
-        const MOCK_CONTACTS = [
-            { Id: '003000000000000AAA', FirstName: 'Test', LastName: 'User', Email: 'test@example.com' }
-        ];
-
-        const element = createElement('c-contact-list', {
-            is: ContactList
-        });
-        document.body.appendChild(element);
-
-        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
-        const getContactsAdapter = createApexTestWireAdapter(jest.fn());
-
-        // Act - First emit error, then data
-        getContactsAdapter.error(MOCK_ERROR);
-
-        return Promise.resolve().then(() => {
-            expect(element.error).toBeTruthy();
+        const element = createContactList();
+        getContactPage.error({ message: 'Initial error' }, MOCK_ERROR_STATUS);
+        await Promise.resolve();
+        expect(element.shadowRoot.querySelector('c-display-panel')).not.toBeNull();
 
-            // Emit data
-            getContactsAdapter.emit(MOCK_CONTACTS);
+        // Act
+        getContactPage.emit(MOCK_PAGE);
+        await Promise.resolve();
 
-            return Promise.resolve().then(() => {
-                // Assert - Error should be cleared
-                expect(element.error).toBeUndefined();
-                expect(element.contacts).toEqual(MOCK_CONTACTS);
-            });
-        });
+        // Assert - Error should be cleared
+        expect(element.shadowRoot.querySelector('c-display-panel')).toBeNull();
+        expect(element.shadowRoot.querySelector('lightning-datatable').data).toEqual(MOCK_CONTACTS);
     });
 
-    it('uses reduceErrors getter to process error', () => {
+    it('renders no error panel while the contacts load', () => {
         // Arrange
-        const MOCK_ERROR = {
-            body: { message: 'Test error message' }
-        };
-
-        const element = createElement('c-contact-list', {
-            is: ContactList
-        });
-        document.body.appendChild(element);
+        const element = createContactList();
 
-        // Act
-        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
-        const getContactsAdapter = createApexTestWireAdapter(jest.fn());
-        getContactsAdapter.error(MOCK_ERROR);
-
-        return Promise.resolve().then(() => {
-            // Assert - Test that the errors getter returns processed error
-            expect(element.errors).toBeTruthy();
-            expect(typeof element.errors).toBe('string');
-            expect(element.errors).toContain('Test error message');
-        });
+        // Assert
+        expect(element.shadowRoot.querySelector('c-display-panel')).toBeNull();
+        expect(element.shadowRoot.querySelector('lightning-datatable').isLoading).toBe(true);
     });
 });
-
@@ -1,33 +1,167 @@
 import { LightningElement, wire, api } from 'lwc';
-import getContacts from '@salesforce/apex/ContactController.getContacts';
+import { refreshApex } from '@salesforce/apex';
+/** ContactController.getContactPage(accountId, searchTerm, sortBy, sortDirection, pageSize, pageOffset) Apex method */
+import getContactPage from '@salesforce/apex/ContactController.getContactPage';
 import FIRST_NAME_FIELD from '@salesforce/schema/Contact.FirstName';
 import LAST_NAME_FIELD from '@salesforce/schema/Contact.LastName';
 import EMAIL_FIELD from '@salesforce/schema/Contact.Email';
-import { reduceErrors } from 'c/ldsUtils';
+import { createRetryScheduler } from 'c/retryUtils';
+
+const PAGE_SIZE = 50;
+const SEARCH_DELAY = 300;
 
 export default class ContactList extends LightningElement {
-    contacts;
+    contacts = [];
+    totalCount = 0;
+    nextOffset;
     error;
+    isLoading = true;
+    isRetrying = false;
+    searchTerm = '';
+    sortedBy = LAST_NAME_FIELD.fieldApiName;
+    sortDirection = 'asc';
+    pageSize = PAGE_SIZE;
+    pageOffset = 0;
+    selectedIds = [];
+
+    // Wire result kept for refreshApex
+    wiredContactsResult;
+    refreshOnLoad = false;
+    retryScheduler = createRetryScheduler();
 
     @api
     columns = [
-        { label: 'First Name', fieldName: FIRST_NAME_FIELD.fieldApiName },
-        { label: 'Last Name', fieldName: LAST_NAME_FIELD.fieldApiName },
-        { label: 'Email', fieldName: EMAIL_FIELD.fieldApiName }
+        {
+            label: 'First Name',
+            fieldName: FIRST_NAME_FIELD.fieldApiName,
+            sortable: true
+        },
+        {
+            label: 'Last Name',
+            fieldName: LAST_NAME_FIELD.fieldApiName,
+            sortable: true
+        },
+        { label: 'Email', fieldName: EMAIL_FIELD.fieldApiName, sortable: true }
     ];
 
-    @wire(getContacts)
-    wiredContacts({ error, data }) {
+    // Datatable field names double as sort keys of getContactPage
+    @wire(getContactPage, {
+        searchTerm: '$searchTerm',
+        sortBy: '$sortedBy',
+        sortDirection: '$sortDirection',
+        pageSize: '$pageSize',
+        pageOffset: '$pageOffset'
+    })
+    wiredContacts(result) {
+        this.wiredContactsResult = result;
+        const { error, data } = result;
+        if (data && this.refreshOnLoad) {
+            // This first page came from the client cache, fetch it from the server
+            this.refreshOnLoad = false;
+            refreshApex(result);
+            return;
+        }
         if (data) {
-            this.contacts = data;
+            // Replace anything loaded from this offset onwards so that a
+            // re-emitted page does not duplicate rows
+            this.contacts = this.contacts
+                .slice(0, data.pageOffset)
+                .concat(data.records);
+            this.totalCount = data.totalCount;
+            this.nextOffset = data.nextOffset;
             this.error = undefined;
+            this.isLoading = false;
+            this.isRetrying = false;
+            this.retryScheduler.reset();
         } else if (error) {
             this.error = error;
-            this.contacts = undefined;
+            this.isLoading = false;
+            // Transient failures are retried with backoff
+            this.isRetrying = this.retryScheduler.schedule(error, () =>
+                refreshApex(this.wiredContactsResult)
+            );
+        }
+    }
+
+    disconnectedCallback() {
+        window.clearTimeout(this.delayTimeout);
+        this.retryScheduler.cancel();
+    }
+
+    get hasMore() {
+        return this.nextOffset !== undefined && this.nextOffset !== null;
+    }
+
+    get resultSummary() {
+        return `Showing ${this.contacts.length} of ${this.totalCount} contacts`;
+    }
+
+    get errorNotes() {
+        if (!this.error) {
+            return undefined;
+        }
+        return this.isRetrying
+            ? 'An error occurred while loading the contacts, retrying...'
+            : 'An error occurred while loading the contacts';
+    }
+
+    handleSearchTermChange(event) {
+        // Wait for the user to stop typing before searching
+        window.clearTimeout(this.delayTimeout);
+        const searchTerm = event.target.value;
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.delayTimeout = setTimeout(() => {
+            // The wire is not called again for the same term, keep the
+            // contacts rather than waiting for a page that never comes
+            if (searchTerm === this.searchTerm) {
+                return;
+            }
+            this.resetPages();
+            this.searchTerm = searchTerm;
+        }, SEARCH_DELAY);
+    }
+
+    handleSort(event) {
+        const { fieldName, sortDirection } = event.detail;
+        this.resetPages();
+        this.sortedBy = fieldName;
+        this.sortDirection = sortDirection;
+    }
+
+    handleLoadMore() {
+        if (this.isLoading || !this.hasMore) {
+            return;
+        }
+        this.isLoading = true;
+        this.pageOffset = this.nextOffset;
+    }
+
+    handleRowSelection(event) {
+        const contacts = event.detail.selectedRows;
+        this.selectedIds = contacts.map((contact) => contact.Id);
+        this.dispatchEvent(
+            new CustomEvent('selectedrows', {
+                detail: { contactIds: this.selectedIds, contacts }
+            })
+        );
+    }
+
+    handleRefresh() {
+        this.retryScheduler.reset();
+        this.isRetrying = false;
+        if (this.pageOffset === 0) {
+            return refreshApex(this.wiredContactsResult);
         }
+        this.refreshOnLoad = true;
+        this.resetPages();
+        return undefined;
     }
 
-    get errors() {
-        return reduceErrors(this.error);
+    resetPages() {
+        // Restart from the first page for the new criteria
+        this.contacts = [];
+        this.nextOffset = undefined;
+        this.pageOffset = 0;
+        this.isLoading = true;
     }
-}
\ No newline at end of file
+}
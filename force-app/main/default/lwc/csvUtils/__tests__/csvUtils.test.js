@@ -0,0 +1,72 @@
+import { parseCsv, toCsv } from 'c/csvUtils';
+
+describe('c-csv-utils', () => {
+    describe('toCsv', () => {
+        it('joins cells and rows', () => {
+            const csv = toCsv([
+                ['Name', 'Weight'],
+                ['Grizzly', 300]
+            ]);
+
+            expect(csv).toBe('Name,Weight\r\nGrizzly,300');
+        });
+
+        it('quotes cells with separators, quotes and line breaks', () => {
+            const csv = toCsv([['Big, "Bad"', 'Line\nbreak']]);
+
+            expect(csv).toBe('"Big, ""Bad""","Line\nbreak"');
+        });
+
+        it('writes empty cells for missing values', () => {
+            const csv = toCsv([['Grizzly', undefined, null]]);
+
+            expect(csv).toBe('Grizzly,,');
+        });
+
+        it('keeps text that looks like a formula as text', () => {
+            const csv = toCsv([['=HYPERLINK("x")', -110.5]]);
+
+            expect(csv).toBe('"\'=HYPERLINK(""x"")",-110.5');
+        });
+    });
+
+    describe('parseCsv', () => {
+        it('parses rows of cells', () => {
+            const rows = parseCsv('Name,Weight\r\nGrizzly,300\nKodiak,450\n');
+
+            expect(rows).toStrictEqual([
+                ['Name', 'Weight'],
+                ['Grizzly', '300'],
+                ['Kodiak', '450']
+            ]);
+        });
+
+        it('parses quoted cells', () => {
+            const rows = parseCsv('"Big, ""Bad""","Line\nbreak",""');
+
+            expect(rows).toStrictEqual([['Big, "Bad"', 'Line\nbreak', '']]);
+        });
+
+        it('skips blank lines and the byte order mark', () => {
+            const rows = parseCsv('\uFEFFName\n\nGrizzly\n\n');
+
+            expect(rows).toStrictEqual([['Name'], ['Grizzly']]);
+        });
+
+        it('reads back what toCsv writes', () => {
+            const rows = [
+                ['Name', 'Notes'],
+                ['Grizzly', 'Seen near "the lake", twice\r\nAgain']
+            ];
+
+            expect(parseCsv(toCsv(rows))).toStrictEqual(rows);
+        });
+
+        it('removes the quote added in front of formula-like text', () => {
+            const rows = [['-110.5', '=HYPERLINK("x")', "'quoted", "'"]];
+
+            expect(parseCsv(toCsv(rows))).toStrictEqual(rows);
+            expect(parseCsv("'-110.5,'@ranger")).toStrictEqual([['-110.5', '@ranger']]);
+        });
+    });
+});
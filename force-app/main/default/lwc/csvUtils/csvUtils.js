@@ -0,0 +1,108 @@
+// Leading characters that make spreadsheets evaluate a cell as a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+/**
+ * Escapes a value for a CSV cell. Text that a spreadsheet would evaluate as
+ * a formula is prefixed with a quote so that it is kept as text.
+ * @param {*} value
+ * @return {String} CSV cell
+ */
+function toCell(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let cell = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIXES.includes(cell[0])) {
+        cell = `'${cell}`;
+    }
+    if (/[",\r\n]/.test(cell)) {
+        cell = `"${cell.replace(/"/g, '""')}"`;
+    }
+    return cell;
+}
+
+/**
+ * Removes the quote that toCell adds in front of formula-like text.
+ * @param {String} cell Unquoted CSV cell
+ * @return {String}
+ */
+function fromCell(cell) {
+    return cell[0] === "'" && FORMULA_PREFIXES.includes(cell[1])
+        ? cell.slice(1)
+        : cell;
+}
+
+/**
+ * Converts rows of values into CSV text.
+ * @param {Array[]} rows Rows of cell values, the header row included
+ * @return {String} CSV text with CRLF line endings
+ */
+export function toCsv(rows) {
+    return rows.map((row) => row.map(toCell).join(',')).join('\r\n');
+}
+
+/**
+ * Parses CSV text into rows of cell values. Supports quoted cells with
+ * commas, escaped quotes and line breaks. Blank lines are skipped and
+ * the formula escaping of toCsv is undone.
+ * @param {String} text CSV text
+ * @return {String[][]} Rows of cell values
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    // Remove the byte order mark added by spreadsheet exports
+    const csv = text.replace(/^\uFEFF/, '');
+    const endRow = () => {
+        row.push(fromCell(cell));
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+    for (let i = 0; i < csv.length; i++) {
+        const char = csv[i];
+        if (inQuotes) {
+            if (char === '"' && csv[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(fromCell(cell));
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && csv[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    endRow();
+    return rows;
+}
+
+/**
+ * Downloads CSV text as a file.
+ * @param {String} csv CSV text
+ * @param {String} fileName Name of the downloaded file
+ */
+export function downloadCsv(csv, fileName) {
+    const link = document.createElement('a');
+    link.href = `data:text/csv;charset=utf-8,${encodeURIComponent(csv)}`;
+    link.download = fileName;
+    link.target = '_self';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
@@ -0,0 +1,13 @@
+import { toIsoDate } from 'c/dateUtils';
+
+describe('c-date-utils', () => {
+    describe('toIsoDate', () => {
+        it('formats the local date with padded parts', () => {
+            expect(toIsoDate(new Date(2026, 0, 5))).toBe('2026-01-05');
+        });
+
+        it('keeps the local date late in the evening', () => {
+            expect(toIsoDate(new Date(2026, 11, 31, 23, 59))).toBe('2026-12-31');
+        });
+    });
+});
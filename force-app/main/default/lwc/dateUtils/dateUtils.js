@@ -0,0 +1,12 @@
+/**
+ * Formats a date as YYYY-MM-DD in the user's time zone, the format of
+ * date inputs and Apex Date parameters. toISOString would give the UTC
+ * date, a day off for users outside UTC.
+ * @param {Date} date
+ * @return {String}
+ */
+export function toIsoDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
@@ -0,0 +1,99 @@
+import { createElement } from '@lwc/engine-dom';
+import DisplayPanel from 'c/displayPanel';
+
+const FIELD_ERROR = {
+    status: 400,
+    body: {
+        output: {
+            fieldErrors: {
+                Name: [{ errorCode: 'REQUIRED_FIELD_MISSING', message: 'Name is required' }]
+            }
+        }
+    }
+};
+
+function createPanel(props = {}) {
+    const element = createElement('c-display-panel', {
+        is: DisplayPanel
+    });
+    Object.assign(element, props);
+    document.body.appendChild(element);
+    return element;
+}
+
+function texts(element, selector) {
+    return Array.from(element.shadowRoot.querySelectorAll(selector)).map((node) => node.textContent);
+}
+
+describe('c-display-panel', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('renders nothing without errors or notes', () => {
+        const element = createPanel({ errors: [null] });
+
+        expect(element.shadowRoot.querySelector('.display-panel')).toBeNull();
+    });
+
+    it('renders the notes and the messages of errors of any shape', () => {
+        const element = createPanel({
+            notes: 'An error occurred while loading the bears',
+            errors: [
+                'Plain message',
+                { body: [{ errorCode: 'NOT_FOUND', message: 'Record not found' }] },
+                FIELD_ERROR,
+                new TypeError('Cannot read properties of undefined')
+            ]
+        });
+
+        expect(texts(element, '.note')).toEqual(['An error occurred while loading the bears']);
+        expect(texts(element, '.message')).toEqual([
+            'Plain message',
+            'Record not found',
+            'Name is required',
+            'Cannot read properties of undefined'
+        ]);
+    });
+
+    it('renders inline by default and as a banner on demand', async () => {
+        const element = createPanel({ errors: FIELD_ERROR });
+        const panel = () => element.shadowRoot.querySelector('.display-panel');
+
+        expect(panel().classList).toContain('slds-text-color_error');
+
+        element.variant = 'banner';
+        await Promise.resolve();
+
+        expect(panel().classList).toContain('slds-alert_error');
+    });
+
+    it('collapses the technical details of the errors', async () => {
+        const element = createPanel({ errors: FIELD_ERROR });
+        expect(element.shadowRoot.querySelector('.detail')).toBeNull();
+
+        const toggle = element.shadowRoot.querySelector('lightning-button.details-toggle');
+        expect(toggle.label).toBe('Show details');
+        toggle.click();
+        await Promise.resolve();
+
+        expect(toggle.label).toBe('Hide details');
+        expect(texts(element, '.detail')).toEqual(['field error · HTTP 400 · REQUIRED_FIELD_MISSING · field Name']);
+    });
+
+    it('fires a retry event when retryable', async () => {
+        const element = createPanel({ errors: FIELD_ERROR });
+        expect(element.shadowRoot.querySelector('lightning-button.retry')).toBeNull();
+        const retryHandler = jest.fn();
+        element.addEventListener('retry', retryHandler);
+
+        element.retryable = true;
+        await Promise.resolve();
+        element.shadowRoot.querySelector('lightning-button.retry').click();
+
+        expect(retryHandler).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,97 @@
+import { LightningElement, api } from 'lwc';
+import { normalizeErrors } from 'c/ldsUtils';
+
+export default class DisplayPanel extends LightningElement {
+  // LDS, Apex, network or JS error, or an array of them. Strings are shown
+  // as they are.
+  @api errors;
+  // Text, or array of texts, telling the user what failed
+  @api notes;
+  // inline or banner
+  @api variant = 'inline';
+  // Shows a Retry button that fires a retry event
+  @api retryable = false;
+
+  showDetails = false;
+
+  get errorList() {
+    if (!this.errors) {
+      return [];
+    }
+    return Array.isArray(this.errors) ? this.errors : [this.errors];
+  }
+
+  get normalizedErrors() {
+    return normalizeErrors(
+      this.errorList.filter((error) => typeof error !== 'string')
+    );
+  }
+
+  get hasContent() {
+    return this.noteList.length > 0 || this.messages.length > 0;
+  }
+
+  get noteList() {
+    const notes = Array.isArray(this.notes) ? this.notes : [this.notes];
+    return notes
+      .filter((note) => !!note)
+      .map((note, index) => ({ key: `note-${index}`, text: note }));
+  }
+
+  get messages() {
+    return this.errorList
+      .flatMap((error) => {
+        if (typeof error === 'string') {
+          return [error];
+        }
+        return normalizeErrors(error).map(({ message }) => message);
+      })
+      .filter((message) => !!message)
+      .map((message, index) => ({ key: `message-${index}`, text: message }));
+  }
+
+  // Technical details of the errors, such as status and error codes
+  get details() {
+    return this.normalizedErrors.map((error, index) => ({
+      key: `detail-${index}`,
+      text: [
+        `${error.kind} error`,
+        error.statusCode === null ? null : `HTTP ${error.statusCode}`,
+        error.errorCode,
+        error.fieldApiName ? `field ${error.fieldApiName}` : null
+      ]
+        .filter((part) => part !== null)
+        .join(' · ')
+    }));
+  }
+
+  get hasDetails() {
+    return this.details.length > 0;
+  }
+
+  get detailsToggleLabel() {
+    return this.showDetails ? 'Hide details' : 'Show details';
+  }
+
+  get isBanner() {
+    return this.variant === 'banner';
+  }
+
+  get panelClass() {
+    return this.isBanner
+      ? 'slds-notify slds-notify_alert slds-alert_error display-panel'
+      : 'slds-grid slds-text-color_error display-panel';
+  }
+
+  get retryVariant() {
+    return this.isBanner ? 'inverse' : 'neutral';
+  }
+
+  handleToggleDetails() {
+    this.showDetails = !this.showDetails;
+  }
+
+  handleRetry() {
+    this.dispatchEvent(new CustomEvent('retry'));
+  }
+}
@@ -1,4 +1,4 @@
-import { reduceErrors } from 'c/ldsUtils';
+import { normalizeErrors, reduceErrors } from 'c/ldsUtils';
 
 describe('c-lds-utils', () => {
     describe('reduceErrors', () => {
@@ -226,4 +226,149 @@ describe('c-lds-utils', () => {
             expect(reduced).toStrictEqual(REDUCED_ERROR);
         });
     });
+
+    describe('normalizeErrors', () => {
+        it('normalizes UI API read errors as page errors', () => {
+            const FULL_ERROR = {
+                status: 404,
+                body: [{ errorCode: 'NOT_FOUND', message: 'mockError' }]
+            };
+
+            const normalized = normalizeErrors(FULL_ERROR);
+
+            expect(normalized).toStrictEqual([
+                {
+                    message: 'mockError',
+                    fieldApiName: null,
+                    statusCode: 404,
+                    errorCode: 'NOT_FOUND',
+                    kind: 'page'
+                }
+            ]);
+        });
+
+        it('normalizes Apex DML page and field errors', () => {
+            const FULL_ERROR = [
+                {
+                    status: 400,
+                    body: {
+                        pageErrors: [
+                            {
+                                statusCode: 'FIELD_CUSTOM_VALIDATION_EXCEPTION',
+                                message: 'mockError1'
+                            }
+                        ]
+                    }
+                },
+                {
+                    status: 400,
+                    body: {
+                        fieldErrors: {
+                            Name: [
+                                {
+                                    statusCode: 'REQUIRED_FIELD_MISSING',
+                                    message: 'mockError2'
+                                }
+                            ]
+                        }
+                    }
+                }
+            ];
+
+            const normalized = normalizeErrors(FULL_ERROR);
+
+            expect(normalized).toStrictEqual([
+                {
+                    message: 'mockError1',
+                    fieldApiName: null,
+                    statusCode: 400,
+                    errorCode: 'FIELD_CUSTOM_VALIDATION_EXCEPTION',
+                    kind: 'page'
+                },
+                {
+                    message: 'mockError2',
+                    fieldApiName: 'Name',
+                    statusCode: 400,
+                    errorCode: 'REQUIRED_FIELD_MISSING',
+                    kind: 'field'
+                }
+            ]);
+        });
+
+        it('normalizes UI API DML field errors with their field', () => {
+            const FULL_ERROR = {
+                status: 400,
+                body: {
+                    output: {
+                        fieldErrors: {
+                            Weight__c: [
+                                {
+                                    errorCode: 'NUMBER_OUTSIDE_VALID_RANGE',
+                                    message: 'mockError'
+                                }
+                            ]
+                        }
+                    }
+                }
+            };
+
+            const normalized = normalizeErrors(FULL_ERROR);
+
+            expect(normalized).toStrictEqual([
+                {
+                    message: 'mockError',
+                    fieldApiName: 'Weight__c',
+                    statusCode: 400,
+                    errorCode: 'NUMBER_OUTSIDE_VALID_RANGE',
+                    kind: 'field'
+                }
+            ]);
+        });
+
+        it('tells network errors from Apex and JS errors', () => {
+            const FULL_ERROR = [
+                { status: 0, body: { message: 'mockOffline' } },
+                { status: 500, body: { message: 'mockApexError' } },
+                { statusText: 'mockStatus' },
+                new TypeError('mockJsError')
+            ];
+
+            const normalized = normalizeErrors(FULL_ERROR);
+
+            expect(
+                normalized.map(({ message, kind }) => ({ message, kind }))
+            ).toStrictEqual([
+                { message: 'mockOffline', kind: 'network' },
+                { message: 'mockApexError', kind: 'page' },
+                { message: 'mockStatus', kind: 'network' },
+                { message: 'mockJsError', kind: 'js' }
+            ]);
+        });
+
+        it('tells an HTTP error with an unknown shape from a network error', () => {
+            const FULL_ERROR = [
+                { status: 0, statusText: 'mockOffline' },
+                { status: 404, statusText: 'Not Found' }
+            ];
+
+            const normalized = normalizeErrors(FULL_ERROR);
+
+            expect(
+                normalized.map(({ message, statusCode, kind }) => ({
+                    message,
+                    statusCode,
+                    kind
+                }))
+            ).toStrictEqual([
+                { message: 'mockOffline', statusCode: 0, kind: 'network' },
+                { message: 'Not Found', statusCode: 404, kind: 'page' }
+            ]);
+        });
+
+        it('skips empty errors and errors without a message', () => {
+            const normalized = normalizeErrors([null, undefined, {}]);
+
+            expect(normalized).toStrictEqual([]);
+        });
+    });
 });
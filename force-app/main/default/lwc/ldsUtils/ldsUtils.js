@@ -1,9 +1,40 @@
 /**
- * Reduces one or more LDS errors into a string[] of error messages.
+ * Error normalized from an LDS, Apex, network or JS error.
+ * @typedef {Object} NormalizedError
+ * @property {String} message Error message
+ * @property {String|null} fieldApiName API name of the field in error, set
+ * for field errors
+ * @property {Number|null} statusCode HTTP status of the failed request
+ * @property {String|null} errorCode Salesforce error code such as
+ * FIELD_CUSTOM_VALIDATION_EXCEPTION
+ * @property {'page'|'field'|'network'|'js'} kind Where the error belongs:
+ * to the page or form, to one of its fields, to the connection or to the code
+ */
+
+function toNormalizedError(error, entry, kind, fieldApiName = null) {
+    return {
+        message: entry.message,
+        fieldApiName,
+        statusCode: error.status ?? null,
+        errorCode: entry.errorCode ?? entry.statusCode ?? null,
+        kind
+    };
+}
+
+function toFieldErrors(error, fieldErrors) {
+    return Object.entries(fieldErrors).flatMap(([fieldApiName, entries]) =>
+        entries.map((entry) =>
+            toNormalizedError(error, entry, 'field', fieldApiName)
+        )
+    );
+}
+
+/**
+ * Normalizes one or more LDS errors into structured errors.
  * @param {FetchResponse|FetchResponse[]} errors
- * @return {String[]} Error messages
+ * @return {NormalizedError[]} Errors
  */
-export function reduceErrors(errors) {
+export function normalizeErrors(errors) {
     if (!Array.isArray(errors)) {
         errors = [errors];
     }
@@ -12,70 +43,78 @@ export function reduceErrors(errors) {
         errors
             // Remove null/undefined items
             .filter((error) => !!error)
-            // Extract an error message
-            .map((error) => {
+            // Extract the errors
+            .flatMap((error) => {
                 // UI API read errors
                 if (Array.isArray(error.body)) {
-                    return error.body.map((e) => e.message);
+                    return error.body.map((e) =>
+                        toNormalizedError(error, e, 'page')
+                    );
                 }
                 // Page level errors
                 else if (
                     error?.body?.pageErrors &&
                     error.body.pageErrors.length > 0
                 ) {
-                    return error.body.pageErrors.map((e) => e.message);
+                    return error.body.pageErrors.map((e) =>
+                        toNormalizedError(error, e, 'page')
+                    );
                 }
                 // Field level errors
                 else if (
                     error?.body?.fieldErrors &&
                     Object.keys(error.body.fieldErrors).length > 0
                 ) {
-                    const fieldErrors = [];
-                    Object.values(error.body.fieldErrors).forEach(
-                        (errorArray) => {
-                            fieldErrors.push(
-                                ...errorArray.map((e) => e.message)
-                            );
-                        }
-                    );
-                    return fieldErrors;
+                    return toFieldErrors(error, error.body.fieldErrors);
                 }
                 // UI API DML page level errors
                 else if (
                     error?.body?.output?.errors &&
                     error.body.output.errors.length > 0
                 ) {
-                    return error.body.output.errors.map((e) => e.message);
+                    return error.body.output.errors.map((e) =>
+                        toNormalizedError(error, e, 'page')
+                    );
                 }
                 // UI API DML field level errors
                 else if (
                     error?.body?.output?.fieldErrors &&
                     Object.keys(error.body.output.fieldErrors).length > 0
                 ) {
-                    const fieldErrors = [];
-                    Object.values(error.body.output.fieldErrors).forEach(
-                        (errorArray) => {
-                            fieldErrors.push(
-                                ...errorArray.map((e) => e.message)
-                            );
-                        }
-                    );
-                    return fieldErrors;
+                    return toFieldErrors(error, error.body.output.fieldErrors);
                 }
-                // UI API DML, Apex and network errors
+                // UI API DML, Apex and network errors, a status of 0 means
+                // that the server could not be reached
                 else if (error.body && typeof error.body.message === 'string') {
-                    return error.body.message;
+                    return toNormalizedError(
+                        error,
+                        error.body,
+                        error.status === 0 ? 'network' : 'page'
+                    );
                 }
                 // JS errors
                 else if (typeof error.message === 'string') {
-                    return error.message;
+                    return toNormalizedError(error, error, 'js');
                 }
-                // Unknown error shape so try HTTP status text
-                return error.statusText;
+                // Unknown error shape so try HTTP status text, only a
+                // missing status or a status of 0 means that the server
+                // could not be reached
+                return toNormalizedError(
+                    error,
+                    { message: error.statusText },
+                    !error.status ? 'network' : 'page'
+                );
             })
-            // Flatten
-            .reduce((prev, curr) => prev.concat(curr), [])
-            // Remove empty strings
-            .filter((message) => !!message)
+            // Remove errors without a message
+            .filter((error) => !!error.message)
     );
 }
+
+/**
+ * Reduces one or more LDS errors into a string[] of error messages.
+ * @param {FetchResponse|FetchResponse[]} errors
+ * @return {String[]} Error messages
+ */
+export function reduceErrors(errors) {
+    return normalizeErrors(errors).map((error) => error.message);
+}
@@ -0,0 +1,103 @@
+import {
+    isTransientError,
+    getRetryDelay,
+    createRetryScheduler
+} from 'c/retryUtils';
+
+const SERVER_ERROR = { status: 503, body: { message: 'Service unavailable' } };
+const PERMISSION_ERROR = {
+    status: 403,
+    body: [{ errorCode: 'INSUFFICIENT_ACCESS', message: 'No access' }]
+};
+
+describe('c-retry-utils', () => {
+    let onLineSpy;
+
+    beforeEach(() => {
+        onLineSpy = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(true);
+    });
+
+    afterEach(() => {
+        onLineSpy.mockRestore();
+        jest.useRealTimers();
+    });
+
+    describe('isTransientError', () => {
+        it('treats network, server and locking errors as transient', () => {
+            expect(isTransientError(SERVER_ERROR)).toBe(true);
+            expect(isTransientError({ status: 0, body: { message: 'Disconnected' } })).toBe(true);
+            expect(isTransientError({ statusText: 'Gateway Timeout' })).toBe(true);
+            expect(
+                isTransientError({
+                    status: 400,
+                    body: { pageErrors: [{ statusCode: 'UNABLE_TO_LOCK_ROW', message: 'Locked' }] }
+                })
+            ).toBe(true);
+        });
+
+        it('treats permission, validation and JS errors as permanent', () => {
+            expect(isTransientError(PERMISSION_ERROR)).toBe(false);
+            expect(
+                isTransientError({
+                    status: 400,
+                    body: { output: { fieldErrors: { Name: [{ errorCode: 'REQUIRED_FIELD_MISSING', message: 'Required' }] } } }
+                })
+            ).toBe(false);
+            expect(isTransientError(new TypeError('Bug'))).toBe(false);
+            expect(isTransientError({ status: 404, statusText: 'Not Found' })).toBe(false);
+        });
+
+        it('treats every error as transient while offline', () => {
+            onLineSpy.mockReturnValue(false);
+
+            expect(isTransientError(PERMISSION_ERROR)).toBe(true);
+        });
+    });
+
+    it('doubles the retry delay up to its maximum', () => {
+        expect([0, 1, 2, 3].map((attempt) => getRetryDelay(attempt))).toEqual([1000, 2000, 4000, 8000]);
+        expect(getRetryDelay(10)).toBe(30000);
+        expect(getRetryDelay(2, 500, 1500)).toBe(1500);
+    });
+
+    describe('createRetryScheduler', () => {
+        it('retries transient errors with backoff until attempts run out', () => {
+            jest.useFakeTimers();
+            const retry = jest.fn();
+            const scheduler = createRetryScheduler({ maxAttempts: 2 });
+
+            expect(scheduler.schedule(SERVER_ERROR, retry)).toBe(true);
+            jest.advanceTimersByTime(999);
+            expect(retry).not.toHaveBeenCalled();
+            jest.advanceTimersByTime(1);
+            expect(retry).toHaveBeenCalledTimes(1);
+
+            expect(scheduler.schedule(SERVER_ERROR, retry)).toBe(true);
+            jest.advanceTimersByTime(2000);
+            expect(retry).toHaveBeenCalledTimes(2);
+
+            expect(scheduler.schedule(SERVER_ERROR, retry)).toBe(false);
+        });
+
+        it('does not retry permanent errors', () => {
+            const scheduler = createRetryScheduler();
+
+            expect(scheduler.schedule(PERMISSION_ERROR, jest.fn())).toBe(false);
+        });
+
+        it('starts over after a reset and drops cancelled retries', () => {
+            jest.useFakeTimers();
+            const retry = jest.fn();
+            const scheduler = createRetryScheduler({ maxAttempts: 1 });
+            scheduler.schedule(SERVER_ERROR, retry);
+            jest.advanceTimersByTime(1000);
+
+            scheduler.reset();
+            expect(scheduler.schedule(SERVER_ERROR, retry)).toBe(true);
+            scheduler.cancel();
+            jest.advanceTimersByTime(1000);
+
+            expect(retry).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,95 @@
+import { normalizeErrors } from 'c/ldsUtils';
+
+// HTTP statuses of requests that may succeed when sent again
+const TRANSIENT_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+// Salesforce error codes of requests that may succeed when sent again
+const TRANSIENT_ERROR_CODES = [
+    'UNABLE_TO_LOCK_ROW',
+    'REQUEST_LIMIT_EXCEEDED',
+    'SERVER_UNAVAILABLE'
+];
+
+/**
+ * Tells whether one or more LDS, Apex, network or JS errors may go away by
+ * sending the request again, such as a lost connection or a busy server.
+ * Other errors, such as a missing permission or an invalid value, are
+ * permanent.
+ * @param {FetchResponse|FetchResponse[]} errors
+ * @return {Boolean}
+ */
+export function isTransientError(errors) {
+    if (!window.navigator.onLine) {
+        return true;
+    }
+    return normalizeErrors(errors).some(
+        (error) =>
+            error.kind === 'network' ||
+            TRANSIENT_STATUS_CODES.includes(error.statusCode) ||
+            TRANSIENT_ERROR_CODES.includes(error.errorCode)
+    );
+}
+
+/**
+ * Returns the delay before a retry, doubling with each attempt.
+ * @param {Number} attempt Number of retries already made
+ * @param {Number} [baseDelay] Delay before the first retry in ms
+ * @param {Number} [maxDelay] Longest delay in ms
+ * @return {Number} Delay in ms
+ */
+export function getRetryDelay(attempt, baseDelay = 1000, maxDelay = 30000) {
+    return Math.min(baseDelay * 2 ** attempt, maxDelay);
+}
+
+/**
+ * Creates a scheduler retrying a failed request with exponential backoff
+ * as long as its errors are transient.
+ * @param {Object} [options]
+ * @param {Number} [options.maxAttempts] Retries made before giving up
+ * @param {Number} [options.baseDelay] Delay before the first retry in ms
+ * @param {Number} [options.maxDelay] Longest delay in ms
+ * @return {{schedule: Function, reset: Function, cancel: Function}}
+ * Scheduler
+ */
+export function createRetryScheduler({
+    maxAttempts = 3,
+    baseDelay = 1000,
+    maxDelay = 30000
+} = {}) {
+    let attempt = 0;
+    let timeoutId;
+
+    function cancel() {
+        window.clearTimeout(timeoutId);
+        timeoutId = undefined;
+    }
+
+    return {
+        /**
+         * Schedules a retry when the errors are transient and attempts are
+         * left. A retry already scheduled is replaced.
+         * @param {*} errors Errors of the failed request
+         * @param {Function} retry Sends the request again
+         * @return {Boolean} Whether a retry was scheduled
+         */
+        schedule(errors, retry) {
+            cancel();
+            if (attempt >= maxAttempts || !isTransientError(errors)) {
+                return false;
+            }
+            const delay = getRetryDelay(attempt, baseDelay, maxDelay);
+            attempt++;
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            timeoutId = setTimeout(() => {
+                timeoutId = undefined;
+                retry();
+            }, delay);
+            return true;
+        },
+        // Starts counting attempts again, after a success or a manual retry
+        reset() {
+            cancel();
+            attempt = 0;
+        },
+        cancel
+    };
+}
@@ -0,0 +1,115 @@
+import { createElement } from '@lwc/engine-dom';
+import SimilarBears from 'c/similarBears';
+import getSimilarBears from '@salesforce/apex/BearController.getSimilarBears';
+
+// Mock the Apex wire adapter
+jest.mock(
+    '@salesforce/apex/BearController.getSimilarBears',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+const BEAR_ID = 'a00000000000001AAA';
+const MOCK_SIMILAR_BEARS = [
+    {
+        bear: { Id: 'a00000000000002AAA', Name: 'Ursa', Sex__c: 'Female' },
+        score: 80,
+        reasons: ['Same sex', 'Weight within 10 Kg']
+    },
+    {
+        bear: { Id: 'a00000000000003AAA', Name: 'Kodiak' },
+        score: 10,
+        reasons: []
+    }
+];
+
+describe('c-similar-bears', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    function createComponent() {
+        const element = createElement('c-similar-bears', {
+            is: SimilarBears
+        });
+        element.recordId = BEAR_ID;
+        element.maxResults = 3;
+        document.body.appendChild(element);
+        return element;
+    }
+
+    it('loads the bears similar to the bear record', () => {
+        // Arrange
+        createComponent();
+
+        // Assert
+        return Promise.resolve().then(() => {
+            expect(getSimilarBears.getLastConfig()).toEqual({
+                bearId: BEAR_ID,
+                maxResults: 3
+            });
+        });
+    });
+
+    it('renders a tile with the score and reasons of each similar bear', () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        getSimilarBears.emit(MOCK_SIMILAR_BEARS);
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const tiles = element.shadowRoot.querySelectorAll('c-bear-tile');
+            expect(tiles).toHaveLength(2);
+            expect(tiles[0].bear).toEqual(MOCK_SIMILAR_BEARS[0].bear);
+            const scores = element.shadowRoot.querySelectorAll('.similarity-score');
+            expect(scores[0].label).toBe('80% similar');
+            const reasons = element.shadowRoot
+                .querySelectorAll('.similarity-reasons')[0]
+                .querySelectorAll('li');
+            expect([...reasons].map((reason) => reason.textContent)).toEqual([
+                'Same sex',
+                'Weight within 10 Kg'
+            ]);
+        });
+    });
+
+    it('tells when no similar bears were found', () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        getSimilarBears.emit([]);
+
+        // Assert
+        return Promise.resolve().then(() => {
+            expect(element.shadowRoot.querySelector('c-bear-tile')).toBeNull();
+            expect(element.shadowRoot.textContent).toContain(
+                'No similar bears were found'
+            );
+        });
+    });
+
+    it('displays the error when the similar bears fail to load', () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        getSimilarBears.error({ message: 'Bear not found.' });
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const error = element.shadowRoot.querySelector('.slds-text-color_error');
+            expect(error.textContent).toContain('Bear not found.');
+        });
+    });
+});
@@ -0,0 +1,40 @@
+import { LightningElement, api, wire } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import { reduceErrors } from 'c/ldsUtils';
+/** BearController.getSimilarBears(bearId, maxResults) Apex method */
+import getSimilarBears from '@salesforce/apex/BearController.getSimilarBears';
+
+export default class SimilarBears extends NavigationMixin(LightningElement) {
+  @api recordId; // Bear Id
+  @api maxResults = 6;
+
+  @wire(getSimilarBears, { bearId: '$recordId', maxResults: '$maxResults' })
+  similarBears;
+
+  get hasSimilarBears() {
+    return this.similarBears?.data?.length > 0;
+  }
+
+  get results() {
+    return this.similarBears.data.map((similarBear) => ({
+      ...similarBear,
+      scoreLabel: `${similarBear.score}% similar`
+    }));
+  }
+
+  get errors() {
+    return reduceErrors(this.similarBears.error).join(', ');
+  }
+
+  handleBearView(event) {
+    // Navigate to bear record page
+    this[NavigationMixin.Navigate]({
+      type: 'standard__recordPage',
+      attributes: {
+        recordId: event.detail,
+        objectApiName: 'Bear__c',
+        actionName: 'view'
+      }
+    });
+  }
+}
@@ -0,0 +1,109 @@
+import { createElement } from '@lwc/engine-dom';
+import SupervisorBears from 'c/supervisorBears';
+import getSupervisedBears from '@salesforce/apex/BearController.getSupervisedBears';
+
+// Mock the Apex wire adapter
+jest.mock(
+    '@salesforce/apex/BearController.getSupervisedBears',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+const CONTACT_ID = '003000000000000AAA';
+const MOCK_BEARS = [
+    {
+        Id: 'a00000000000001AAA',
+        Name: 'Grizzly',
+        Age__c: 12,
+        Weight__c: 300,
+        Location__Latitude__s: 44.4,
+        Location__Longitude__s: -110.5
+    },
+    { Id: 'a00000000000002AAA', Name: 'Kodiak', Age__c: 5, Weight__c: 251 },
+    { Id: 'a00000000000003AAA', Name: 'Cub' }
+];
+
+describe('c-supervisor-bears', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    function createComponent() {
+        const element = createElement('c-supervisor-bears', {
+            is: SupervisorBears
+        });
+        element.recordId = CONTACT_ID;
+        document.body.appendChild(element);
+        return element;
+    }
+
+    it('loads the bears of the contact record', () => {
+        // Arrange
+        createComponent();
+
+        // Assert
+        return Promise.resolve().then(() => {
+            expect(getSupervisedBears.getLastConfig()).toEqual({
+                supervisorId: CONTACT_ID
+            });
+        });
+    });
+
+    it('renders workload stats, tiles and located markers', () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        getSupervisedBears.emit(MOCK_BEARS);
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const text = (selector) =>
+                element.shadowRoot.querySelector(selector).textContent;
+            expect(text('.bear-count')).toBe('3');
+            expect(text('.average-age')).toBe('8.5');
+            expect(text('.average-weight')).toBe('275.5');
+            expect(element.shadowRoot.querySelectorAll('c-bear-tile')).toHaveLength(3);
+            const map = element.shadowRoot.querySelector('lightning-map');
+            expect(map.mapMarkers).toHaveLength(1);
+        });
+    });
+
+    it('tells when the contact supervises no bears', () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        getSupervisedBears.emit([]);
+
+        // Assert
+        return Promise.resolve().then(() => {
+            expect(element.shadowRoot.querySelector('lightning-map')).toBeNull();
+            expect(element.shadowRoot.textContent).toContain(
+                'does not supervise any bears'
+            );
+        });
+    });
+
+    it('displays the error when the bears fail to load', () => {
+        // Arrange
+        const element = createComponent();
+
+        // Act
+        getSupervisedBears.error({ message: 'Insufficient access rights' });
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const error = element.shadowRoot.querySelector('.slds-text-color_error');
+            expect(error.textContent).toContain('Insufficient access rights');
+        });
+    });
+});
@@ -0,0 +1,76 @@
+import { LightningElement, api, wire } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import { reduceErrors } from 'c/ldsUtils';
+/** BearController.getSupervisedBears(supervisorId) Apex method */
+import getSupervisedBears from '@salesforce/apex/BearController.getSupervisedBears';
+
+function average(values) {
+  if (values.length === 0) {
+    return undefined;
+  }
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return Math.round((total / values.length) * 10) / 10;
+}
+
+export default class SupervisorBears extends NavigationMixin(LightningElement) {
+  @api recordId; // Contact Id
+
+  @wire(getSupervisedBears, { supervisorId: '$recordId' })
+  bears;
+
+  get hasBears() {
+    return this.bears?.data?.length > 0;
+  }
+
+  get bearCount() {
+    return this.bears.data.length;
+  }
+
+  get averageAge() {
+    return average(
+      this.bears.data
+        .map((bear) => bear.Age__c)
+        .filter((age) => age !== undefined && age !== null)
+    );
+  }
+
+  get averageWeight() {
+    return average(
+      this.bears.data
+        .map((bear) => bear.Weight__c)
+        .filter((weight) => weight !== undefined && weight !== null)
+    );
+  }
+
+  get mapMarkers() {
+    return this.bears.data
+      .filter((bear) => bear.Location__Latitude__s !== undefined)
+      .map((bear) => {
+        const Latitude = bear.Location__Latitude__s;
+        const Longitude = bear.Location__Longitude__s;
+        return {
+          location: { Latitude, Longitude },
+          value: bear.Id,
+          title: bear.Name,
+          description: `Coords: ${Latitude}, ${Longitude}`,
+          icon: 'utility:animal_and_nature'
+        };
+      });
+  }
+
+  get errors() {
+    return reduceErrors(this.bears.error).join(', ');
+  }
+
+  handleBearView(event) {
+    // Navigate to bear record page
+    this[NavigationMixin.Navigate]({
+      type: 'standard__recordPage',
+      attributes: {
+        recordId: event.detail,
+        objectApiName: 'Bear__c',
+        actionName: 'view'
+      }
+    });
+  }
+}
@@ -0,0 +1,78 @@
+import { createElement } from '@lwc/engine-dom';
+import SupervisorLeaderboard from 'c/supervisorLeaderboard';
+import getSupervisorLeaderboard from '@salesforce/apex/BearController.getSupervisorLeaderboard';
+
+// Mock the Apex wire adapter
+jest.mock(
+    '@salesforce/apex/BearController.getSupervisorLeaderboard',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+const MOCK_LEADERBOARD = [
+    {
+        supervisorId: '003000000000001AAA',
+        supervisorName: 'Jane Ranger',
+        bearCount: 6,
+        averageAge: 8.5,
+        averageWeight: 275.5
+    },
+    {
+        supervisorId: '003000000000002AAA',
+        supervisorName: 'Joe Ranger',
+        bearCount: 1,
+        averageWeight: 40
+    }
+];
+
+describe('c-supervisor-leaderboard', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('ranks supervisors in the order returned by Apex', () => {
+        // Arrange
+        const element = createElement('c-supervisor-leaderboard', {
+            is: SupervisorLeaderboard
+        });
+        document.body.appendChild(element);
+
+        // Act
+        getSupervisorLeaderboard.emit(MOCK_LEADERBOARD);
+
+        // Assert
+        return Promise.resolve().then(() => {
+            expect(getSupervisorLeaderboard.getLastConfig()).toEqual({
+                maxResults: 10
+            });
+            const datatable = element.shadowRoot.querySelector('lightning-datatable');
+            expect(datatable.data.map((row) => row.rank)).toEqual([1, 2]);
+            expect(datatable.data[0].supervisorName).toBe('Jane Ranger');
+        });
+    });
+
+    it('displays the error when the leaderboard fails to load', () => {
+        // Arrange
+        const element = createElement('c-supervisor-leaderboard', {
+            is: SupervisorLeaderboard
+        });
+        document.body.appendChild(element);
+
+        // Act
+        getSupervisorLeaderboard.error({ message: 'Query timeout' });
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const error = element.shadowRoot.querySelector('.slds-text-color_error');
+            expect(error.textContent).toContain('Query timeout');
+        });
+    });
+});
@@ -0,0 +1,32 @@
+import { LightningElement, api, wire } from 'lwc';
+import { reduceErrors } from 'c/ldsUtils';
+/** BearController.getSupervisorLeaderboard(maxResults) Apex method */
+import getSupervisorLeaderboard from '@salesforce/apex/BearController.getSupervisorLeaderboard';
+
+const COLUMNS = [
+  { label: 'Rank', fieldName: 'rank', type: 'number', initialWidth: 80 },
+  { label: 'Supervisor', fieldName: 'supervisorName' },
+  { label: 'Bears', fieldName: 'bearCount', type: 'number' },
+  { label: 'Average age', fieldName: 'averageAge', type: 'number' },
+  { label: 'Average weight (Kg)', fieldName: 'averageWeight', type: 'number' }
+];
+
+export default class SupervisorLeaderboard extends LightningElement {
+  @api maxResults = 10;
+
+  columns = COLUMNS;
+
+  @wire(getSupervisorLeaderboard, { maxResults: '$maxResults' })
+  leaderboard;
+
+  get rows() {
+    return this.leaderboard.data.map((stats, index) => ({
+      ...stats,
+      rank: index + 1
+    }));
+  }
+
+  get errors() {
+    return reduceErrors(this.leaderboard.error).join(', ');
+  }
+}
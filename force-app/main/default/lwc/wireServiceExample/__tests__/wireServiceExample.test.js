@@ -2,6 +2,7 @@ import { createElement } from 'lwc';
 import WireServiceExample from 'c/wireServiceExample';
 import { getRecord } from 'lightning/uiRecordApi';
 import getContacts from '@salesforce/apex/ContactController.getContacts';
+import { refreshApex } from '@salesforce/apex';
 
 // Mock the wire adapters
 jest.mock(
@@ -15,216 +16,218 @@ jest.mock(
     { virtual: true }
 );
 
+jest.mock('@salesforce/apex', () => ({ refreshApex: jest.fn(() => Promise.resolve()) }), {
+    virtual: true
+});
+
+const RECORD_ID = '001000000000000AAA';
+const OTHER_RECORD_ID = '001000000000000BBB';
+const MOCK_RECORD = {
+    apiName: 'Account',
+    fields: {
+        Name: { value: 'Acme Corporation' },
+        Industry: { value: 'Technology' }
+    }
+};
+const OTHER_RECORD = {
+    apiName: 'Account',
+    fields: {
+        Name: { value: 'Umbrella' },
+        Industry: { value: 'Pharmaceuticals' }
+    }
+};
+const MOCK_CONTACTS = [
+    { Id: '003000000000000AAA', FirstName: 'John', LastName: 'Doe', Email: 'john@example.com' },
+    { Id: '003000000000000BBB', FirstName: 'Jane', LastName: 'Smith', Email: 'jane@example.com' }
+];
+
 describe('c-wire-service-example', () => {
     afterEach(() => {
         // Clean up DOM after each test
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        jest.clearAllMocks();
     });
 
     describe('LDS Wire Adapter - getRecord', () => {
-        it('displays account name when record data is loaded', () => {
+        it('displays account name when record data is loaded', async () => {
             // Arrange
-            const RECORD_ID = '001000000000000AAA';
-            const MOCK_RECORD = {
-                apiName: 'Account',
-                fields: {
-                    Name: {
-                        value: 'Acme Corporation'
-                    },
-                    Industry: {
-                        value: 'Technology'
-                    }
-                }
-            };
-
             const element = createElement('c-wire-service-example', {
                 is: WireServiceExample
             });
             element.recordId = RECORD_ID;
             document.body.appendChild(element);
 
-            // Act - Emit data using LDS wire adapter
-            const { createLdsTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
-            const getRecordAdapter = createLdsTestWireAdapter(getRecord);
-            getRecordAdapter.emit(MOCK_RECORD);
+            // Act - Emit data using the mocked LDS wire adapter
+            getRecord.emit(MOCK_RECORD);
+            await Promise.resolve();
 
-            // Wait for DOM updates
-            return Promise.resolve().then(() => {
-                // Assert
-                const nameElement = element.shadowRoot.querySelector('p');
-                expect(nameElement.textContent).toContain('Acme Corporation');
-            });
+            // Assert
+            const lines = element.shadowRoot.querySelectorAll('p');
+            expect(lines[0].textContent).toBe('Name: Acme Corporation');
+            expect(lines[1].textContent).toBe('Industry: Technology');
         });
 
-        it('displays error message when record load fails', () => {
+        it('displays error message when record load fails', async () => {
             // Arrange
-            const RECORD_ID = '001000000000000AAA';
-            const MOCK_ERROR = {
-                body: {
-                    message: 'Record not found'
-                }
-            };
-
             const element = createElement('c-wire-service-example', {
                 is: WireServiceExample
             });
             element.recordId = RECORD_ID;
             document.body.appendChild(element);
 
-            // Act - Emit error using LDS wire adapter
-            const { createLdsTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
-            const getRecordAdapter = createLdsTestWireAdapter(getRecord);
-            getRecordAdapter.error(MOCK_ERROR);
+            // Act - Emit an error using the mocked LDS wire adapter
+            getRecord.error({ message: 'Record not found' }, 404, 'Not Found');
+            await Promise.resolve();
 
-            // Wait for DOM updates
-            return Promise.resolve().then(() => {
-                // Assert
-                const errorElement = element.shadowRoot.querySelector('.slds-text-color_error');
-                expect(errorElement).not.toBeNull();
-                expect(errorElement.textContent).toContain('Record not found');
-            });
+            // Assert
+            const panel = element.shadowRoot.querySelector('c-display-panel');
+            expect(panel.notes).toBe('Error loading record');
+            expect(panel.errors.body.message).toBe('Record not found');
         });
 
-        it('reacts to reactive variable changes', () => {
+        it('reacts to reactive variable changes', async () => {
             // Arrange
-            const FIRST_RECORD_ID = '001000000000000AAA';
-            const SECOND_RECORD_ID = '001000000000000BBB';
-            
-            const FIRST_RECORD = {
-                apiName: 'Account',
-                fields: {
-                    Name: { value: 'First Account' }
-                }
-            };
-
-            const SECOND_RECORD = {
-                apiName: 'Account',
-                fields: {
-                    Name: { value: 'Second Account' }
-                }
-            };
+            const element = createElement('c-wire-service-example', {
+                is: WireServiceExample
+            });
+            element.recordId = RECORD_ID;
+            document.body.appendChild(element);
+            getRecord.emit(MOCK_RECORD);
+            await Promise.resolve();
+
+            // Act - Change the reactive variable and emit the new record
+            element.recordId = OTHER_RECORD_ID;
+            await Promise.resolve();
+            getRecord.emit(OTHER_RECORD);
+            await Promise.resolve();
+
+            // Assert
+            expect(getRecord.getLastConfig().recordId).toBe(OTHER_RECORD_ID);
+            expect(element.shadowRoot.querySelector('p').textContent).toBe('Name: Umbrella');
+        });
+    });
 
+    describe('Apex Wire Adapter - getContacts', () => {
+        it('displays contacts when Apex method returns data', async () => {
+            // Arrange
             const element = createElement('c-wire-service-example', {
                 is: WireServiceExample
             });
-            element.recordId = FIRST_RECORD_ID;
             document.body.appendChild(element);
 
-            const { createLdsTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
-            const getRecordAdapter = createLdsTestWireAdapter(getRecord);
+            // Act - Emit data using the mocked Apex wire adapter
+            getContacts.emit(MOCK_CONTACTS);
+            await Promise.resolve();
 
-            // Act - Emit first record
-            getRecordAdapter.emit(FIRST_RECORD);
+            // Assert
+            const items = element.shadowRoot.querySelectorAll('li');
+            expect(items).toHaveLength(2);
+            expect(items[0].textContent).toBe('John Doe - john@example.com');
+        });
 
-            return Promise.resolve().then(() => {
-                // Assert first record
-                expect(element.accountName).toBe('First Account');
+        it('displays error when Apex method fails', async () => {
+            // Arrange
+            const element = createElement('c-wire-service-example', {
+                is: WireServiceExample
+            });
+            document.body.appendChild(element);
 
-                // Change reactive variable
-                element.recordId = SECOND_RECORD_ID;
+            // Act - Emit a permanent error using the mocked Apex wire adapter
+            getContacts.error({ message: 'Insufficient access rights' }, 403, 'Forbidden');
+            await Promise.resolve();
 
-                // Emit second record (wire adapter should react)
-                getRecordAdapter.emit(SECOND_RECORD);
+            // Assert
+            const panel = element.shadowRoot.querySelector('c-display-panel');
+            expect(panel.notes).toBe('Error loading contacts');
+            expect(panel.errors.body.message).toBe('Insufficient access rights');
+            expect(panel.retryable).toBe(true);
+        });
 
-                return Promise.resolve().then(() => {
-                    // Assert second record
-                    expect(element.accountName).toBe('Second Account');
-                });
+        it('clears contacts when error occurs', async () => {
+            // Arrange
+            const element = createElement('c-wire-service-example', {
+                is: WireServiceExample
             });
+            document.body.appendChild(element);
+            getContacts.emit(MOCK_CONTACTS);
+            await Promise.resolve();
+            expect(element.shadowRoot.querySelectorAll('li')).toHaveLength(2);
+
+            // Act
+            getContacts.error({ message: 'Error occurred' }, 403, 'Forbidden');
+            await Promise.resolve();
+
+            // Assert - contacts should be cleared
+            expect(element.shadowRoot.querySelector('ul')).toBeNull();
+            expect(element.shadowRoot.querySelector('c-display-panel')).not.toBeNull();
         });
     });
 
-    describe('Apex Wire Adapter - getContacts', () => {
-        it('displays contacts when Apex method returns data', () => {
+    describe('Account scoping', () => {
+        it('loads the contacts of every account until a record is set', async () => {
             // Arrange
-            const MOCK_CONTACTS = [
-                { Id: '003000000000000AAA', FirstName: 'John', LastName: 'Doe', Email: 'john@example.com' },
-                { Id: '003000000000000BBB', FirstName: 'Jane', LastName: 'Smith', Email: 'jane@example.com' }
-            ];
-
             const element = createElement('c-wire-service-example', {
                 is: WireServiceExample
             });
             document.body.appendChild(element);
+            // Wires with reactive parameters are configured asynchronously
+            await Promise.resolve();
+            expect(getContacts.getLastConfig()).toEqual({ accountId: null });
+
+            // Act
+            element.recordId = '001000000000000AAA';
+            await Promise.resolve();
 
-            // Act - Emit data using Apex wire adapter
-            const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
-            const getContactsAdapter = createApexTestWireAdapter(jest.fn());
-            getContactsAdapter.emit(MOCK_CONTACTS);
+            // Assert
+            expect(getContacts.getLastConfig()).toEqual({ accountId: '001000000000000AAA' });
+        });
+    });
 
-            // Wait for DOM updates
-            return Promise.resolve().then(() => {
-                // Assert
-                const contactList = element.shadowRoot.querySelector('ul');
-                expect(contactList).not.toBeNull();
-                expect(element.contacts).toEqual(MOCK_CONTACTS);
-                expect(element.contacts).toHaveLength(2);
-            });
+    describe('Retry and refresh', () => {
+        afterEach(() => {
+            jest.clearAllMocks();
+            jest.useRealTimers();
         });
 
-        it('displays error when Apex method fails', () => {
+        it('renders no error panel when the contacts load', async () => {
             // Arrange
-            const MOCK_ERROR = {
-                body: {
-                    message: 'Insufficient access rights'
-                }
-            };
-
             const element = createElement('c-wire-service-example', {
                 is: WireServiceExample
             });
             document.body.appendChild(element);
 
-            // Act - Emit error using Apex wire adapter
-            const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
-            const getContactsAdapter = createApexTestWireAdapter(jest.fn());
-            getContactsAdapter.error(MOCK_ERROR);
+            // Act
+            getContacts.emit([{ Id: '003000000000000AAA', FirstName: 'John', LastName: 'Doe' }]);
+            await Promise.resolve();
 
-            // Wait for DOM updates
-            return Promise.resolve().then(() => {
-                // Assert
-                expect(element.error).toBeTruthy();
-                expect(element.errors).toContain('Insufficient access rights');
-                
-                const errorElement = element.shadowRoot.querySelector('.slds-text-color_error');
-                expect(errorElement).not.toBeNull();
-            });
+            // Assert
+            expect(element.shadowRoot.querySelectorAll('li')).toHaveLength(1);
+            expect(element.shadowRoot.querySelector('c-display-panel')).toBeNull();
         });
 
-        it('clears contacts when error occurs', () => {
+        it('retries transient contact failures and refreshes on demand', async () => {
+            jest.useFakeTimers();
             // Arrange
-            const MOCK_CONTACTS = [
-                { Id: '003000000000000AAA', FirstName: 'John', LastName: 'Doe', Email: 'john@example.com' }
-            ];
-            const MOCK_ERROR = {
-                body: { message: 'Error occurred' }
-            };
-
             const element = createElement('c-wire-service-example', {
                 is: WireServiceExample
             });
             document.body.appendChild(element);
 
-            const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
-            const getContactsAdapter = createApexTestWireAdapter(jest.fn());
+            // Act - Emit a transient error using the mocked Apex wire adapter
+            getContacts.error({ message: 'Service unavailable' }, 503, 'Service Unavailable');
+            await Promise.resolve();
+            jest.advanceTimersByTime(1000);
 
-            // Act - First emit data, then error
-            getContactsAdapter.emit(MOCK_CONTACTS);
-
-            return Promise.resolve().then(() => {
-                expect(element.contacts).toEqual(MOCK_CONTACTS);
+            // Assert - the contacts are loaded again
+            expect(refreshApex).toHaveBeenCalledTimes(1);
 
-                // Emit error
-                getContactsAdapter.error(MOCK_ERROR);
+            // Act - Refresh manually
+            element.shadowRoot.querySelector('lightning-button.refresh').click();
 
-                return Promise.resolve().then(() => {
-                    // Assert - contacts should be cleared
-                    expect(element.contacts).toBeUndefined();
-                    expect(element.error).toBeTruthy();
-                });
-            });
+            // Assert
+            expect(refreshApex).toHaveBeenCalledTimes(2);
         });
     });
 
@@ -251,42 +254,20 @@ describe('c-wire-service-example', () => {
     });
 
     describe('Reactive Variables', () => {
-        it('wire adapter reacts to $recordId changes', () => {
+        it('wire adapter reacts to $recordId changes', async () => {
             // Arrange
             const element = createElement('c-wire-service-example', {
                 is: WireServiceExample
             });
             document.body.appendChild(element);
 
-            const { createLdsTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
-            const getRecordAdapter = createLdsTestWireAdapter(getRecord);
-
-            // Act - Set initial recordId
-            element.recordId = '001000000000000AAA';
-            
-            const FIRST_RECORD = {
-                apiName: 'Account',
-                fields: { Name: { value: 'First' } }
-            };
-            getRecordAdapter.emit(FIRST_RECORD);
-
-            return Promise.resolve().then(() => {
-                expect(element.accountName).toBe('First');
-
-                // Change reactive variable (prefixed with $)
-                element.recordId = '001000000000000BBB';
-
-                const SECOND_RECORD = {
-                    apiName: 'Account',
-                    fields: { Name: { value: 'Second' } }
-                };
-                getRecordAdapter.emit(SECOND_RECORD);
+            // Act - Set the recordId after the component is connected
+            element.recordId = RECORD_ID;
+            await Promise.resolve();
 
-                return Promise.resolve().then(() => {
-                    // Assert - Wire adapter should react to $recordId change
-                    expect(element.accountName).toBe('Second');
-                });
-            });
+            // Assert - Both wires are configured with the new record
+            expect(getRecord.getLastConfig().recordId).toBe(RECORD_ID);
+            expect(getContacts.getLastConfig()).toEqual({ accountId: RECORD_ID });
         });
     });
 });
@@ -1,12 +1,25 @@
 import { LightningElement, api, wire } from 'lwc';
 import { getRecord, getFieldValue } from 'lightning/uiRecordApi';
+import { refreshApex } from '@salesforce/apex';
 import ACCOUNT_NAME_FIELD from '@salesforce/schema/Account.Name';
 import ACCOUNT_INDUSTRY_FIELD from '@salesforce/schema/Account.Industry';
 import getContacts from '@salesforce/apex/ContactController.getContacts';
-import { reduceErrors } from 'c/ldsUtils';
+import { createRetryScheduler } from 'c/retryUtils';
 
 export default class WireServiceExample extends LightningElement {
-    @api recordId;
+    // Wires do not run while a parameter is undefined, so the contacts of
+    // every account are loaded with a null account id until a record is set
+    accountId = null;
+    _recordId;
+
+    @api
+    get recordId() {
+        return this._recordId;
+    }
+    set recordId(value) {
+        this._recordId = value;
+        this.accountId = value || null;
+    }
 
     // LDS Wire Adapter - getRecord
     @wire(getRecord, { 
@@ -15,20 +28,37 @@ export default class WireServiceExample extends LightningElement {
     })
     wiredRecord;
 
-    // Apex Wire Adapter - getContacts
-    @wire(getContacts)
-    wiredContacts({ error, data }) {
+    // Apex Wire Adapter - getContacts of the Account
+    @wire(getContacts, { accountId: '$accountId' })
+    wiredContacts(result) {
+        this.wiredContactsResult = result;
+        const { error, data } = result;
         if (data) {
             this.contacts = data;
             this.error = undefined;
+            this.isRetrying = false;
+            this.retryScheduler.reset();
         } else if (error) {
             this.error = error;
             this.contacts = undefined;
+            // Transient failures are retried with backoff
+            this.isRetrying = this.retryScheduler.schedule(error, () =>
+                refreshApex(this.wiredContactsResult)
+            );
         }
     }
 
     contacts;
     error;
+    isRetrying = false;
+
+    // Wire result kept for refreshApex
+    wiredContactsResult;
+    retryScheduler = createRetryScheduler();
+
+    disconnectedCallback() {
+        this.retryScheduler.cancel();
+    }
 
     // Getter for account name using getFieldValue
     get accountName() {
@@ -40,9 +70,20 @@ export default class WireServiceExample extends LightningElement {
         return getFieldValue(this.wiredRecord.data, ACCOUNT_INDUSTRY_FIELD);
     }
 
-    // Getter for processed errors
-    get errors() {
-        return reduceErrors(this.error);
+    get contactErrorNotes() {
+        if (!this.error) {
+            return undefined;
+        }
+        return this.isRetrying
+            ? 'Error loading contacts, retrying...'
+            : 'Error loading contacts';
+    }
+
+    // Manual refresh of the contacts
+    handleRefresh() {
+        this.retryScheduler.reset();
+        this.isRetrying = false;
+        return refreshApex(this.wiredContactsResult);
     }
 }
 
@@ -3,6 +3,7 @@ import { LightningElement, api } from 'lwc';
 export default class DisplayPanel extends LightningElement {
     @api errors;
     @api notes;
+    @api variant;
+    @api retryable;
     // Add other @api properties passed to the component
 }
-